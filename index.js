@@ -8,8 +8,18 @@
 
 const createTypoTolerantRouter = require("./src/typo-tolerant-router");
 const createAdvancedTypoTolerantRouter = require("./src/typo-tolerant-router-advanced");
+const { trackMountPaths } = require("./src/express-routes");
+const createTypoAnalytics = require("./src/typo-analytics");
+const createTypoTolerantStatic = require("./src/static-files");
+const { typoTolerant } = require("./src/route-options");
 
 module.exports = createTypoTolerantRouter;
 module.exports.createTypoTolerantRouter = createTypoTolerantRouter;
 module.exports.createAdvancedTypoTolerantRouter =
   createAdvancedTypoTolerantRouter;
+module.exports.suggestRoutes = createAdvancedTypoTolerantRouter.suggestRoutes;
+module.exports.typoFallback = createAdvancedTypoTolerantRouter.typoFallback;
+module.exports.trackMountPaths = trackMountPaths;
+module.exports.createTypoAnalytics = createTypoAnalytics;
+module.exports.createTypoTolerantStatic = createTypoTolerantStatic;
+module.exports.typoTolerant = typoTolerant;
@@ -8,15 +8,6 @@ const createAdvancedTypoTolerantRouter = require("./typo-tolerant-router-advance
 // Create Express app
 const app = express();
 
-// Install the path-to-regexp dependency if not already installed
-try {
-  require.resolve("path-to-regexp");
-} catch (e) {
-  console.error("Missing dependency: path-to-regexp. Installing...");
-  require("child_process").execSync("npm install path-to-regexp");
-  console.log("Dependency installed successfully.");
-}
-
 // Configure the typo-tolerant middleware
 app.use(
   createAdvancedTypoTolerantRouter({
@@ -0,0 +1,313 @@
+/**
+ * Aliases for the typo-tolerant routers
+ *
+ * Some "typos" are legacy names that are nowhere near their route by edit
+ * distance, like `/customers` for `/clients`. Aliases map such paths to
+ * canonical routes before any fuzzy matching happens. Static aliases are
+ * looked up in a Map and parameterized ones in a segment trie, so neither
+ * needs a scan. Corrections seen repeatedly can be promoted to aliases and
+ * persisted to a JSON file; those only apply to the method they were learned
+ * from, and keep the distance of the correction.
+ */
+
+const fs = require("fs");
+const { createNormalizer } = require("./normalization");
+const { findExactRoutes, splitPath } = require("./route-index");
+const { formatRoutePath, parseRoutePath } = require("./route-path");
+const createSegmentTrie = require("./segment-trie");
+
+/**
+ * Creates an alias table
+ *
+ * @param {Object} aliases Map of alias patterns to canonical route paths, e.g. `{ "/customer/:id": "/clients/:id" }`
+ * @param {Object} config Configuration options
+ * @param {boolean} config.caseSensitive Whether to perform case-sensitive matching
+ * @param {Object} config.normalization Normalisation steps (see normalization.js)
+ * @returns {Object} Table with `add(from, to)`, `addLiteral(path, url, options)`, `removeLiteral(path, method)` and `resolve(path, method)` methods
+ */
+function createAliasTable(aliases = {}, config = {}) {
+  const normalize = createNormalizer(config).key;
+
+  const staticAliases = new Map();
+  // Literal aliases, keyed by method and path
+  const literalAliases = new Map();
+  const paramAliases = createSegmentTrie({
+    distance: (a, b) => (a === b ? 0 : 1),
+    isMetric: true,
+    normalize,
+  });
+  let order = 0;
+
+  /**
+   * Adds an alias pattern
+   *
+   * @param {string} from Alias route path, parameters included
+   * @param {string} to Canonical route path, using the parameters of `from`
+   */
+  function add(from, to) {
+    for (const segments of parseRoutePath(from)) {
+      if (segments.every((segment) => segment.type === "static")) {
+        const path = "/" + segments.map((segment) => segment.value).join("/");
+        const url = formatRoutePath(to, {});
+        if (url !== null && !staticAliases.has(normalize(path))) {
+          staticAliases.set(normalize(path), { target: to, url });
+        }
+      } else {
+        paramAliases.insert(segments, { target: to, order: order++ });
+      }
+    }
+  }
+
+  /**
+   * Adds an alias from a literal path to a literal URL, for one method
+   *
+   * @param {string} path Request path, taken as is
+   * @param {string} url URL to use instead
+   * @param {Object} options Alias options
+   * @param {string} options.method HTTP method the alias applies to
+   * @param {number} options.distance Distance of the correction the alias stands for (default: 0)
+   */
+  function addLiteral(path, url, options) {
+    literalAliases.set(getLiteralKey(path, options.method), {
+      target: url,
+      url,
+      distance: options.distance || 0,
+    });
+  }
+
+  /**
+   * Removes an alias added with `addLiteral()`
+   *
+   * @param {string} path Request path, as given to `addLiteral()`
+   * @param {string} method HTTP method, as given to `addLiteral()`
+   */
+  function removeLiteral(path, method) {
+    literalAliases.delete(getLiteralKey(path, method));
+  }
+
+  function getLiteralKey(path, method) {
+    return `${method.toLowerCase()} ${normalize(
+      "/" + splitPath(path).join("/")
+    )}`;
+  }
+
+  /**
+   * Resolves a request path through the aliases
+   *
+   * @param {string} path Request path
+   * @param {string} method Lower-case HTTP method (default: none, so only aliases added with `add()` apply)
+   * @returns {Object|null} `{ target, url, params, distance }`, or null if no alias matches
+   */
+  function resolve(path, method) {
+    const segments = splitPath(path);
+    const key = normalize("/" + segments.join("/"));
+    const found =
+      staticAliases.get(key) ||
+      (method ? literalAliases.get(`${method} ${key}`) : null);
+    if (found) {
+      return { distance: 0, ...found, params: {} };
+    }
+
+    const candidates = paramAliases
+      .search(segments, {
+        tolerance: 0,
+        segmentTolerance: () => 0,
+        segmentCountTolerance: 0,
+      })
+      .sort((a, b) => a.entry.order - b.entry.order);
+
+    for (const candidate of candidates) {
+      const url = formatRoutePath(candidate.entry.target, candidate.params);
+      if (url !== null) {
+        return {
+          target: candidate.entry.target,
+          url,
+          params: candidate.params,
+          distance: 0,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  Object.keys(aliases).forEach((from) => add(from, aliases[from]));
+
+  return { add, addLiteral, removeLiteral, resolve };
+}
+
+/**
+ * Resolves an alias, unless a route already matches the path exactly
+ *
+ * Learned aliases keep the distance of their correction, so they are held
+ * to the same tolerance as a fuzzy match, e.g. for unsafe methods.
+ *
+ * @param {Object} table Alias table
+ * @param {Object} index Route index
+ * @param {string} path Request path
+ * @param {string} method Lower-case HTTP method
+ * @param {Function} accept Predicate deciding whether a route may be used
+ * @param {number} tolerance Maximum distance of a learned alias (default: none)
+ * @returns {Object|null} Match for the alias target, or null
+ */
+function findAliasMatch(table, index, path, method, accept, tolerance) {
+  const alias = table.resolve(path, method);
+  if (
+    !alias ||
+    (tolerance !== undefined && alias.distance > tolerance) ||
+    findExactRoutes(index, path).some(accept)
+  ) {
+    return null;
+  }
+
+  return {
+    path: alias.target,
+    method,
+    distance: alias.distance,
+    alias: true,
+    hasParams: false,
+    matchedUrl: alias.url,
+    params: alias.params,
+  };
+}
+
+/**
+ * Promotes corrections seen repeatedly into aliases
+ *
+ * Listens to the "correction" events of a middleware. Once a request path
+ * has been corrected to the same URL `threshold` times for a method, it
+ * becomes a literal alias for that method, and the learned aliases are
+ * written to `file` if one is given, keyed like `"GET /produts"`.
+ * Aliases already in the file are loaded right away. Dry-run corrections
+ * weren't applied, so they are never learned. At most `maxAliases` are
+ * kept, dropping the least recently used, and the file is written at most
+ * once per `saveDelay`, so clients can't grow memory or disk use at will.
+ *
+ * @param {Function} middleware Middleware emitting correction events
+ * @param {Object} table Alias table the learned aliases are added to
+ * @param {Object} options Learning options
+ * @param {number} options.threshold Number of identical corrections before promotion (default: 3)
+ * @param {string} options.file JSON file the learned aliases are persisted to (default: none)
+ * @param {number} options.maxCandidates Maximum number of corrections counted at once (default: 1000)
+ * @param {number} options.maxAliases Maximum number of learned aliases (default: 1000)
+ * @param {number} options.saveDelay Milliseconds new aliases are batched for before the file is written (default: 1000)
+ * @param {Object} options.logger Pino or winston compatible logger that save failures are logged to with `warn()`, instead of the console
+ */
+function learnAliases(middleware, table, options = {}) {
+  const {
+    threshold = 3,
+    file,
+    maxCandidates = 1000,
+    maxAliases = 1000,
+    saveDelay = 1000,
+    logger,
+  } = options;
+  // Learned aliases by "METHOD /path", least recently used first
+  const learned = new Map();
+  const counts = new Map();
+  let saving = Promise.resolve();
+  let saveTimer = null;
+
+  function learn(key, alias) {
+    learned.delete(key);
+    learned.set(key, alias);
+
+    const space = key.indexOf(" ");
+    table.addLiteral(key.substring(space + 1), alias.url, {
+      method: key.substring(0, space),
+      distance: alias.distance,
+    });
+
+    if (learned.size > maxAliases) {
+      const oldest = learned.keys().next().value;
+      const oldestSpace = oldest.indexOf(" ");
+      learned.delete(oldest);
+      table.removeLiteral(
+        oldest.substring(oldestSpace + 1),
+        oldest.substring(0, oldestSpace)
+      );
+    }
+  }
+
+  // New aliases are batched into one write; writes are chained so the file
+  // always ends up with every alias, and renamed into place so it is never
+  // read half-written
+  function scheduleSave() {
+    if (!file || saveTimer) {
+      return;
+    }
+
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      const contents =
+        JSON.stringify(Object.fromEntries(learned), null, 2) + "\n";
+      const tempFile = `${file}.${process.pid}.tmp`;
+      saving = saving
+        .then(() => fs.promises.writeFile(tempFile, contents))
+        .then(() => fs.promises.rename(tempFile, file))
+        .catch((error) => {
+          const message = `Could not save learned aliases to ${file}`;
+          if (logger) {
+            // `msg` is pino's message key, `message` is winston's
+            logger.warn({ err: error, msg: message, message });
+          } else {
+            console.warn(`${message}:`, error);
+          }
+        });
+    }, saveDelay);
+  }
+
+  const persisted = file ? loadAliases(file) : {};
+  Object.keys(persisted).forEach((key) => learn(key, persisted[key]));
+
+  middleware.on("correction", (event) => {
+    const key = `${event.method} ${event.originalPath}`;
+
+    // Aliases in use are kept the longest
+    if (event.alias) {
+      if (learned.has(key)) {
+        const alias = learned.get(key);
+        learned.delete(key);
+        learned.set(key, alias);
+      }
+      return;
+    }
+    if (event.dryRun || event.action === "suggest") {
+      return;
+    }
+
+    const countKey = `${key} ${event.url}`;
+    const count = (counts.get(countKey) || 0) + 1;
+    counts.delete(countKey);
+
+    if (count < threshold) {
+      // Drop the oldest candidate so counting stays bounded
+      if (counts.size >= maxCandidates) {
+        counts.delete(counts.keys().next().value);
+      }
+      counts.set(countKey, count);
+      return;
+    }
+
+    learn(key, { url: event.url, distance: event.distance });
+    scheduleSave();
+  });
+}
+
+// Reads persisted aliases; a missing file means nothing was learned yet
+function loadAliases(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  createAliasTable,
+  findAliasMatch,
+  learnAliases,
+};
@@ -0,0 +1,82 @@
+/**
+ * Ambiguity detection for the typo-tolerant routers
+ *
+ * A typo can be as close to several routes: `/cat` is one edit away from
+ * both `/car` and `/cap`. Rather than serving whichever route was registered
+ * first, the routers detect matches within `ambiguityMargin` of the best one
+ * and apply the `ambiguity` policy: pass the request through ("pass"), list
+ * the candidates in a 300 response ("choices"), pick the route with the
+ * highest priority ("priority") or keep registration order ("first").
+ */
+
+const { getRankingDistance } = require("./route-index");
+
+/**
+ * Applies the ambiguity policy to ranked matches
+ *
+ * Exact matches and aliases are never ambiguous, nor are matches that
+ * rewrite to the same URL.
+ *
+ * @param {Array} matches Matches, best first
+ * @param {Object} config Configuration options
+ * @param {string} config.ambiguity Policy: "pass", "choices", "priority" or "first"
+ * @param {number} config.ambiguityMargin Maximum distance from the best match for another match to tie with it
+ * @returns {Object} `{ match, choices }`: the match to use, or null and the tied matches
+ */
+function resolveAmbiguity(matches, config) {
+  const [best] = matches;
+  if (!best || best.distance === 0 || best.alias) {
+    return { match: best || null, choices: [] };
+  }
+
+  const choices = getTiedMatches(matches, best, config.ambiguityMargin);
+  if (choices.length < 2 || config.ambiguity === "first") {
+    return { match: best, choices: [] };
+  }
+
+  if (config.ambiguity === "priority") {
+    const top = Math.max(...choices.map((match) => match.priority || 0));
+    const preferred = choices.filter((match) => (match.priority || 0) === top);
+
+    // Routes sharing the top priority are still ambiguous
+    if (preferred.length === 1) {
+      return { match: preferred[0], choices: [] };
+    }
+    return { match: null, choices: preferred };
+  }
+
+  return { match: null, choices };
+}
+
+// Matches as close as the best one, give or take the margin, one per URL.
+// Closeness counts captured parameters as the ranking does. Matches no
+// closer than the best one that capture more segments in parameters lose
+// to it, since static segments are preferred, and so do segment alignments
+// keeping fewer request segments than the best one
+function getTiedMatches(matches, best, margin) {
+  const urls = new Set();
+  const paramSegments = (match) => match.paramSegments || 0;
+  const rankingDistance = (match) =>
+    getRankingDistance(match.distance, match.paramSegments);
+  const alignsFewer = (match) =>
+    match.alignedSegments !== undefined &&
+    best.alignedSegments !== undefined &&
+    match.alignedSegments < best.alignedSegments;
+
+  return matches.filter((match) => {
+    if (
+      rankingDistance(match) > rankingDistance(best) + margin ||
+      (rankingDistance(match) >= rankingDistance(best) &&
+        (paramSegments(match) > paramSegments(best) || alignsFewer(match))) ||
+      urls.has(match.matchedUrl)
+    ) {
+      return false;
+    }
+    urls.add(match.matchedUrl);
+    return true;
+  });
+}
+
+module.exports = {
+  resolveAmbiguity,
+};
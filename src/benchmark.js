@@ -0,0 +1,261 @@
+/**
+ * Benchmark for the indexed route matcher
+ *
+ * Compares the BK-tree/segment-trie lookup used by the advanced router with
+ * the original linear scan over every route, at 10, 100 and 1000 routes.
+ * Both approaches must agree on the corrected URL for every request. The
+ * lookup is timed through suggestRoutes(), without the rest of the
+ * middleware; the whole middleware is timed separately for reference.
+ */
+
+const express = require("express");
+const Levenshtein = require("levenshtein");
+const createAdvancedTypoTolerantRouter = require("./typo-tolerant-router-advanced");
+
+const { suggestRoutes } = createAdvancedTypoTolerantRouter;
+
+const ROUTE_COUNTS = [10, 100, 1000];
+const REQUEST_COUNT = 2000;
+const config = {
+  tolerance: 2,
+  caseSensitive: false,
+  applyToAllMethods: false,
+  handleParams: true,
+};
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function randomWord(length) {
+  let word = "";
+  for (let i = 0; i < length; i++) {
+    word += String.fromCharCode(97 + Math.floor(random() * 26));
+  }
+  return word;
+}
+
+// Replaces one character of a path segment to simulate a typo
+function addTypo(path) {
+  const segments = path.split("/");
+  const i = 1 + Math.floor(random() * (segments.length - 1));
+  const segment = segments[i];
+  if (segment.startsWith(":") || segment.length === 0) {
+    return path;
+  }
+  const j = Math.floor(random() * segment.length);
+  segments[i] =
+    segment.substring(0, j) + randomWord(1) + segment.substring(j + 1);
+  return segments.join("/");
+}
+
+// Half static routes, half parameterized routes
+function generateRoutes(count) {
+  const routes = [];
+  for (let i = 0; i < count; i++) {
+    const resource = randomWord(5 + Math.floor(random() * 6));
+    routes.push(
+      i % 2 === 0
+        ? `/${resource}/${randomWord(6)}`
+        : `/${resource}/:id/${randomWord(6)}`
+    );
+  }
+  return routes;
+}
+
+function generateRequests(routes) {
+  const requests = [];
+  for (let i = 0; i < REQUEST_COUNT; i++) {
+    const path = routes[Math.floor(random() * routes.length)].replace(
+      ":id",
+      String(Math.floor(random() * 1000))
+    );
+    requests.push(random() < 0.8 ? addTypo(path) : path);
+  }
+  return requests;
+}
+
+/**
+ * The original linear scan, kept as the reference implementation
+ */
+function linearFindBestMatch(originalPath, routes, method) {
+  let bestMatch = null;
+  let minDistance = Infinity;
+  const normalizedOriginalPath = originalPath.toLowerCase();
+  const filteredRoutes = routes.filter((route) => route.method === method);
+
+  for (const route of filteredRoutes) {
+    if (route.hasParams && route.regexp.exec(originalPath)) {
+      return originalPath;
+    }
+  }
+
+  for (const route of filteredRoutes) {
+    if (!route.hasParams) {
+      const distance = new Levenshtein(
+        normalizedOriginalPath,
+        route.path.toLowerCase()
+      ).distance;
+      if (distance < minDistance) {
+        minDistance = distance;
+        bestMatch = { url: route.path, distance };
+      }
+    }
+  }
+
+  if (!bestMatch || bestMatch.distance > config.tolerance) {
+    for (const route of filteredRoutes) {
+      if (!route.hasParams) {
+        continue;
+      }
+      const originalSegments = originalPath.split("/").filter(Boolean);
+      const routeSegments = route.path.split("/").filter(Boolean);
+      if (
+        Math.abs(originalSegments.length - routeSegments.length) >
+        config.tolerance
+      ) {
+        continue;
+      }
+
+      let totalDistance = 0;
+      let isGoodMatch = true;
+      const params = {};
+      for (
+        let i = 0;
+        i < Math.max(originalSegments.length, routeSegments.length);
+        i++
+      ) {
+        if (i >= originalSegments.length || i >= routeSegments.length) {
+          totalDistance += 1;
+          continue;
+        }
+        if (routeSegments[i].startsWith(":")) {
+          params[routeSegments[i].substring(1)] = originalSegments[i];
+        } else {
+          const segmentDistance = new Levenshtein(
+            originalSegments[i].toLowerCase(),
+            routeSegments[i].toLowerCase()
+          ).distance;
+          totalDistance += segmentDistance;
+          if (segmentDistance > config.tolerance) {
+            isGoodMatch = false;
+            break;
+          }
+        }
+      }
+
+      if (isGoodMatch && totalDistance < minDistance) {
+        minDistance = totalDistance;
+        bestMatch = {
+          url:
+            "/" +
+            routeSegments
+              .map((segment) =>
+                segment.startsWith(":")
+                  ? params[segment.substring(1)] || ""
+                  : segment
+              )
+              .join("/"),
+          distance: totalDistance,
+        };
+      }
+    }
+  }
+
+  return bestMatch && bestMatch.distance <= config.tolerance
+    ? bestMatch.url
+    : null;
+}
+
+function runIndexed(paths, requests) {
+  const app = express();
+  paths.forEach((path) => app.get(path, () => {}));
+  const options = { ...config, method: "GET", limit: 1 };
+
+  const run = (path) => {
+    const [match] = suggestRoutes(app, path, options);
+    return match ? match.url : null;
+  };
+
+  return time(requests, run);
+}
+
+function runMiddleware(paths, requests) {
+  const app = express();
+  const middleware = createAdvancedTypoTolerantRouter(config);
+  app.use(middleware);
+  paths.forEach((path) => app.get(path, () => {}));
+
+  const run = (path) => {
+    const req = {
+      app,
+      path,
+      url: path,
+      method: "GET",
+      params: {},
+      get: () => undefined,
+    };
+    let corrected = null;
+    middleware(req, { set: () => {} }, () => {
+      corrected = req.typoTolerantProcessed ? req.url : null;
+    });
+    return corrected;
+  };
+
+  return time(requests, run);
+}
+
+function runLinear(paths, requests) {
+  const routes = paths.map((path) => {
+    return {
+      path,
+      method: "get",
+      hasParams: path.includes(":"),
+      regexp: new RegExp(`^${path.replace(":id", "([^/]+?)")}/?$`, "i"),
+    };
+  });
+
+  return time(requests, (path) => linearFindBestMatch(path, routes, "get"));
+}
+
+// A first, untimed pass builds the route index and warms up the JIT, so
+// each approach is timed at its steady state
+function time(requests, run) {
+  requests.forEach(run);
+
+  const start = process.hrtime.bigint();
+  const results = requests.map(run);
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  return { results, elapsed };
+}
+
+for (const count of ROUTE_COUNTS) {
+  const paths = generateRoutes(count);
+  const requests = generateRequests(paths);
+
+  const linear = runLinear(paths, requests);
+  const indexed = runIndexed(paths, requests);
+  const middleware = runMiddleware(paths, requests);
+
+  const mismatches = requests.filter(
+    (path, i) => linear.results[i] !== indexed.results[i]
+  );
+  if (mismatches.length > 0) {
+    console.error(
+      `❌ ${count} routes: ${mismatches.length} requests matched differently, e.g. ${mismatches[0]}`
+    );
+    process.exitCode = 1;
+  }
+
+  console.log(
+    `${String(count).padStart(5)} routes: linear ${linear.elapsed.toFixed(
+      1
+    )}ms, indexed ${indexed.elapsed.toFixed(1)}ms ` +
+      `(${REQUEST_COUNT} requests, ${(linear.elapsed / indexed.elapsed).toFixed(
+        1
+      )}x), whole middleware ${middleware.elapsed.toFixed(1)}ms`
+  );
+}
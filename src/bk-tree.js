@@ -0,0 +1,96 @@
+/**
+ * BK-tree for fuzzy string lookup
+ *
+ * A BK-tree indexes strings by their distance to each other, so a lookup
+ * only visits subtrees that can contain entries within the requested
+ * distance. Pruning relies on the triangle inequality, so it is disabled
+ * for distance functions that aren't metrics (e.g. Jaro-Winkler).
+ */
+
+/**
+ * Creates an empty BK-tree
+ *
+ * @param {Function} distance Distance function `(a, b) => number`
+ * @param {Object} options Tree options
+ * @param {boolean} options.isMetric Whether `distance` satisfies the triangle inequality (default: true)
+ * @returns {Object} Tree with `add(key, value)` and `search(query, maxDistance)` methods
+ */
+function createBKTree(distance, options = {}) {
+  const isMetric = options.isMetric !== false;
+  let root = null;
+  let size = 0;
+
+  /**
+   * Adds a value under a key; values sharing a key are kept together
+   *
+   * @param {string} key Indexed string
+   * @param {*} value Value stored for the key
+   */
+  function add(key, value) {
+    size++;
+
+    if (!root) {
+      root = { key, values: [value], children: new Map() };
+      return;
+    }
+
+    let node = root;
+    for (;;) {
+      const d = distance(key, node.key);
+      if (d === 0) {
+        node.values.push(value);
+        return;
+      }
+
+      const child = node.children.get(d);
+      if (!child) {
+        node.children.set(d, { key, values: [value], children: new Map() });
+        return;
+      }
+      node = child;
+    }
+  }
+
+  /**
+   * Finds every key within a maximum distance of the query
+   *
+   * @param {string} query String to look up
+   * @param {number} maxDistance Maximum distance to include
+   * @returns {Array} Array of `{ key, values, distance }` entries
+   */
+  function search(query, maxDistance) {
+    const results = [];
+    if (!root || maxDistance < 0) {
+      return results;
+    }
+
+    const pending = [root];
+    while (pending.length > 0) {
+      const node = pending.pop();
+      const d = distance(query, node.key);
+
+      if (d <= maxDistance) {
+        results.push({ key: node.key, values: node.values, distance: d });
+      }
+
+      // Triangle inequality: only children in [d - max, d + max] can match
+      for (const [edge, child] of node.children) {
+        if (!isMetric || (edge >= d - maxDistance && edge <= d + maxDistance)) {
+          pending.push(child);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  return {
+    add,
+    search,
+    get size() {
+      return size;
+    },
+  };
+}
+
+module.exports = createBKTree;
@@ -0,0 +1,164 @@
+/**
+ * Correction events for the typo-tolerant routers
+ *
+ * Every correction is described by a structured event. The event is passed
+ * to the `onCorrection` hook, emitted as a "correction" event on the
+ * middleware and written to the configured logger. Requests that no route
+ * was close enough to are emitted as "nearMiss" events, with the closest
+ * route within the near-miss tolerance. Rewritten requests are marked, so
+ * handlers can tell they were corrected.
+ */
+
+const EventEmitter = require("events");
+
+/**
+ * Turns a middleware function into an EventEmitter
+ *
+ * Like an Express app, the middleware stays a plain function and gets the
+ * EventEmitter methods mixed in.
+ *
+ * @param {Function} middleware Express middleware function
+ * @returns {Function} The same middleware, with `on()`, `once()`, `off()` and `emit()`
+ */
+function mixinEventEmitter(middleware) {
+  Object.getOwnPropertyNames(EventEmitter.prototype).forEach((name) => {
+    if (name !== "constructor") {
+      middleware[name] = EventEmitter.prototype[name];
+    }
+  });
+  EventEmitter.call(middleware);
+
+  return middleware;
+}
+
+/**
+ * Describes a correction
+ *
+ * @param {Object} req Express request
+ * @param {Object} match Match the request was corrected to
+ * @param {string} action Action taken: "rewrite", "redirect", "suggest" or "none"
+ * @param {Object} config Configuration options
+ * @returns {Object} Event with the `originalPath`, corrected `route` pattern,
+ *   rewritten `url`, `distance`, `metric`, `method`, `action`, extracted
+ *   `params`, corrected `query` keys, whether an `alias` was used, whether
+ *   it was a `dryRun`, the `requestId` (from `req.id` or the X-Request-Id
+ *   header) and the `baseUrl` of the router the paths are relative to
+ */
+function createCorrectionEvent(req, match, action, config) {
+  return {
+    originalPath: req.path,
+    route: match.path,
+    url: match.matchedUrl,
+    distance: match.distance,
+    metric: config.metric.name,
+    method: req.method,
+    action,
+    params: match.params || {},
+    query: match.query || {},
+    alias: Boolean(match.alias),
+    dryRun: Boolean(config.dryRun),
+    requestId: req.id || req.get("x-request-id"),
+    baseUrl: req.baseUrl || "",
+  };
+}
+
+/**
+ * Reports a correction to the hook, the event listeners and the logger
+ *
+ * @param {Function} middleware Middleware emitting the event
+ * @param {Object} config Configuration options
+ * @param {Object} event Correction event
+ * @param {Object} req Express request
+ */
+function reportCorrection(middleware, config, event, req) {
+  if (config.onCorrection) {
+    config.onCorrection(event, req);
+  }
+
+  middleware.emit("correction", event, req);
+
+  const label = event.dryRun ? "Typo correction (dry run)" : "Typo correction";
+  if (config.logger) {
+    // `msg` is pino's message key, `message` is winston's
+    const message = `${label}: "${event.originalPath}" → "${event.route}"`;
+    config.logger.info({ ...event, msg: message, message });
+  } else if (config.logCorrections) {
+    console.log(
+      `${label}: "${event.originalPath}" → "${event.route}" (distance: ${event.distance})`
+    );
+  }
+}
+
+/**
+ * Marks a request as corrected, for handlers and clients
+ *
+ * Sets `req.typoCorrection` to the correction event and the
+ * X-Typo-Corrected response header to the original path, so handlers of
+ * state-changing routes can refuse corrected requests.
+ *
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Object} event Correction event
+ */
+function markCorrected(req, res, event) {
+  req.typoCorrection = event;
+
+  res.set(
+    "X-Typo-Corrected",
+    toHeaderValue(event.baseUrl + event.originalPath)
+  );
+}
+
+/**
+ * Percent-encodes the characters of a path that can't go in a header
+ *
+ * @param {string} path URL path
+ * @returns {string} Path made of printable ASCII only, as header values must be
+ */
+function toHeaderValue(path) {
+  return path.replace(/[^\x20-\x7e]/gu, encodeURIComponent);
+}
+
+/**
+ * Emits a "nearMiss" event if a route is within the near-miss tolerance
+ *
+ * Only searches again when something listens for near-misses.
+ *
+ * @param {Function} middleware Middleware emitting the event
+ * @param {Object} config Configuration options
+ * @param {Object} req Express request
+ * @param {Function} findMatch Finds the best match for a configuration, or null
+ */
+function reportNearMiss(middleware, config, req, findMatch) {
+  if (middleware.listenerCount("nearMiss") === 0) {
+    return;
+  }
+
+  const { nearMiss } = config.budget;
+  const match = findMatch({
+    ...config,
+    budget: {
+      ...config.budget,
+      path: nearMiss,
+      segment: nearMiss,
+      unsafe: nearMiss,
+    },
+  });
+
+  if (match && match.distance > 0) {
+    middleware.emit(
+      "nearMiss",
+      createCorrectionEvent(req, match, "none", config),
+      req
+    );
+  }
+}
+
+module.exports = {
+  createCorrectionEvent,
+  markCorrected,
+  mixinEventEmitter,
+  reportCorrection,
+  reportNearMiss,
+  toHeaderValue,
+};
@@ -0,0 +1,413 @@
+/**
+ * Route extraction for Express 4 and Express 5 apps
+ *
+ * Express 4 keeps its router in `app._router` and describes mount points
+ * with `layer.regexp`. Express 5 exposes `app.router` and only keeps
+ * compiled matchers, so the mount path of a router mounted under a prefix
+ * can't be read back. Neither version keeps a reference to mounted
+ * sub-applications. `trackMountPaths()` records both at registration time.
+ */
+
+const { getMarkerOptions } = require("./route-options");
+const { parseRoutePath } = require("./route-path");
+
+// Mount paths and sub-apps recorded by trackMountPaths(), stored on the
+// created layers
+const MOUNT_PATHS = Symbol("typoTolerantMountPaths");
+const MOUNTED_APP = Symbol("typoTolerantMountedApp");
+
+// Skipped routers are only warned about once per process
+let warnedUnknownMount = false;
+
+/**
+ * Returns the root router of an app or router
+ *
+ * @param {Object} app Express application or router
+ * @returns {Object|null} Router, or null if nothing is registered
+ */
+function getRouter(app) {
+  // Routers are their own root
+  if (Array.isArray(app.stack)) {
+    return app;
+  }
+
+  // Express 4 creates app._router lazily; reading app.router there throws
+  if (typeof app.lazyrouter === "function") {
+    return app._router || null;
+  }
+
+  return app.router || null;
+}
+
+/**
+ * Returns the root router stack of an app or router
+ *
+ * @param {Object} app Express application or router
+ * @returns {Array} Router layers, or an empty array if nothing is registered
+ */
+function getRouterStack(app) {
+  const router = getRouter(app);
+  return router ? router.stack : [];
+}
+
+/**
+ * Extracts all registered routes from an Express app
+ *
+ * Routes are returned in registration order, one entry per path and method,
+ * with their path parsed into variants (see route-path.js) and the options
+ * of their `typoTolerant()` markers (see route-options.js). Given a router,
+ * route paths are relative to where it is mounted.
+ *
+ * @param {Object} app Express application or router
+ * @param {Object} options Extraction options
+ * @param {Object} options.logger Logger warned about routers whose mount path is unknown (default: console)
+ * @returns {Array} Array of route objects
+ */
+function getRegisteredRoutes(app, options = {}) {
+  const routes = [];
+
+  // Function to process route stack
+  function processStack(stack, basePath = "") {
+    stack.forEach((layer) => {
+      if (layer.route) {
+        // This is a route; it may have been registered with several paths
+        const paths = [].concat(layer.route.path).flat(Infinity);
+        const methods = Object.keys(layer.route.methods).filter(
+          (method) => layer.route.methods[method]
+        );
+        const options = getMarkerOptions(layer.route);
+
+        paths.forEach((routePath) => {
+          const route = toRoute(routePath, basePath);
+          methods.forEach((method) => {
+            routes.push({ ...route, method: method.toLowerCase(), options });
+          });
+        });
+      } else {
+        // This may be a sub-router or sub-app; skip it if its mount path is unknown
+        const childStack = getChildStack(layer);
+        if (childStack) {
+          const mountPaths = getMountPaths(layer);
+          if (mountPaths.length === 0) {
+            warnUnknownMount(options.logger);
+          }
+          mountPaths.forEach((mountPath) => {
+            processStack(childStack, basePath + mountPath);
+          });
+        }
+      }
+    });
+  }
+
+  processStack(getRouterStack(app));
+  return routes;
+}
+
+// Routers whose mount path can't be read back, like any router mounted
+// under a prefix in Express 5 or under a RegExp in Express 4, would
+// otherwise be left out silently
+function warnUnknownMount(logger) {
+  if (warnedUnknownMount) {
+    return;
+  }
+  warnedUnknownMount = true;
+
+  const message =
+    "typo-tolerant-express: routes of a router or sub-app are ignored " +
+    "because the path it is mounted at is unknown; call " +
+    "trackMountPaths(express) before mounting routers and sub-apps " +
+    "(RegExp mount paths are never supported)";
+  if (logger) {
+    // `msg` is pino's message key, `message` is winston's
+    logger.warn({ msg: message, message });
+  } else {
+    console.warn(message);
+  }
+}
+
+/**
+ * Describes a route path, relative to the path its router is mounted at
+ *
+ * Routes registered with a RegExp can't be fuzzy-matched, so they have no
+ * variants and keep their `regexp` and mount `prefix` for exact matching.
+ *
+ * @param {string|RegExp} routePath Path the route was registered with
+ * @param {string} basePath Mount path of the route's router
+ * @returns {Object} Route object without its method
+ */
+function toRoute(routePath, basePath) {
+  if (routePath instanceof RegExp) {
+    return {
+      path: basePath + routePath,
+      variants: [],
+      regexp: routePath,
+      prefix: basePath,
+    };
+  }
+
+  const path = basePath + (routePath === "/" ? "" : routePath);
+  return { path: path || "/", variants: parseRoutePath(path || "/") };
+}
+
+/**
+ * Returns the stack of the router or sub-app a layer mounts
+ *
+ * @param {Object} layer Router layer
+ * @returns {Array|null} Router layers, or null if the layer mounts neither
+ */
+function getChildStack(layer) {
+  if (layer.name === "router" && layer.handle.stack) {
+    return layer.handle.stack;
+  }
+
+  if (layer[MOUNTED_APP]) {
+    return getRouterStack(layer[MOUNTED_APP]);
+  }
+
+  return null;
+}
+
+/**
+ * Dispatches a request through the routes of an app or router only
+ *
+ * Middleware registered directly on the router is skipped, since a request
+ * being dispatched again already went through it. Mounted routers and
+ * sub-apps are kept, as they hold routes of their own.
+ *
+ * @param {Object} app Express application or router
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} next Called if no route handles the request
+ */
+function dispatchToRoutes(app, req, res, next) {
+  const router = getRouter(app);
+  if (!router) {
+    return next();
+  }
+
+  // Both Express 4 and Express 5 routers dispatch through `this.stack`
+  const routes = Object.create(router);
+  routes.stack = router.stack.filter(
+    (layer) => layer.route || getChildStack(layer)
+  );
+  routes.handle(req, res, next);
+}
+
+/**
+ * Returns the paths a router layer is mounted at
+ *
+ * @param {Object} layer Router layer
+ * @returns {Array} Mount paths ("" for the root), empty if unknown
+ */
+function getMountPaths(layer) {
+  if (layer[MOUNT_PATHS]) {
+    return layer[MOUNT_PATHS].map((path) => path.replace(/\/+$/, ""));
+  }
+
+  // Express 5 flags routers mounted at the root
+  if (!layer.regexp) {
+    return layer.slash ? [""] : [];
+  }
+
+  // Express 4 only keeps the mount path as a regular expression, with one
+  // alternative per path of an array
+  if (layer.regexp.fast_slash) {
+    return [""];
+  }
+
+  const keys = (layer.keys || []).slice();
+  const paths = splitAlternatives(layer.regexp.source).map((source) =>
+    regexpToMountPath(source, keys)
+  );
+  return paths.includes(null) ? [] : paths;
+}
+
+// Splits a regular expression source at the `|` outside of any group
+function splitAlternatives(source) {
+  const alternatives = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\\") {
+      i++;
+    } else if (source[i] === "(") {
+      depth++;
+    } else if (source[i] === ")") {
+      depth--;
+    } else if (source[i] === "|" && depth === 0) {
+      alternatives.push(source.substring(start, i));
+      start = i + 1;
+    }
+  }
+
+  alternatives.push(source.substring(start));
+  return alternatives;
+}
+
+/**
+ * Rebuilds a mount path from the regular expression Express 4 compiled it to
+ *
+ * Parameter names come from the layer keys, so `/orgs/:orgId` comes back as
+ * written, along with `?` modifiers, `(regex)` constraints and `*`.
+ *
+ * @param {string} regexpSource Source of one alternative of the layer's mount regular expression
+ * @param {Array} keys Parameter keys of the layer not used by earlier alternatives; the ones used are removed
+ * @returns {string|null} Mount path, or null if it can't be rebuilt
+ */
+function regexpToMountPath(regexpSource, keys) {
+  const match = /^\^(.*?)(?:\\\/\?)?\(\?=\\\/\|\$\)$/.exec(regexpSource);
+  if (!match) {
+    return null;
+  }
+
+  const source = match[1];
+  const groups = [];
+  let path = "";
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === "\\") {
+      path += source[++i];
+    } else if (source.startsWith("(?:", i)) {
+      groups.push(false);
+      i += 2;
+    } else if (char === "(") {
+      // A capturing group is the next parameter
+      const key = keys.shift();
+      const end = findGroupEnd(source, i);
+      if (!key || end === -1) {
+        return null;
+      }
+
+      const pattern = source.substring(i + 1, end);
+      if (typeof key.name === "number") {
+        path += "*";
+      } else if (/^\[\^\\?\/\]\+\?$/.test(pattern)) {
+        path += `:${key.name}`;
+      } else {
+        path += `:${key.name}(${pattern})`;
+      }
+      groups.fill(true);
+      i = end;
+    } else if (char === ")") {
+      // An optional group around a parameter makes the parameter optional
+      const hasParam = groups.pop();
+      if (source[i + 1] === "?") {
+        if (hasParam) {
+          path += "?";
+        }
+        i++;
+      }
+    } else {
+      path += char;
+    }
+  }
+
+  return path;
+}
+
+// Returns the index of the parenthesis closing the group opened at `start`
+function findGroupEnd(source, start) {
+  let depth = 0;
+
+  for (let i = start; i < source.length; i++) {
+    if (source[i] === "\\") {
+      i++;
+    } else if (source[i] === "(") {
+      depth++;
+    } else if (source[i] === ")" && --depth === 0) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Records mount paths and sub-apps as they are mounted
+ *
+ * Express 5 doesn't keep the path a router is mounted at, and neither
+ * Express 4 nor Express 5 keeps the sub-apps mounted with
+ * `app.use("/admin", adminApp)`. Their routes can only be found if this is
+ * called before they are mounted. Calling it more than once has no effect.
+ *
+ * @param {Function} express The express module used to create the app
+ * @returns {Function} The same express module
+ */
+function trackMountPaths(express) {
+  // Express 5 routers share Router.prototype; Express 4 routers use Router itself
+  const proto =
+    express.Router.prototype &&
+    typeof express.Router.prototype.use === "function"
+      ? express.Router.prototype
+      : express.Router;
+
+  if (proto.use[MOUNT_PATHS]) {
+    return express;
+  }
+
+  const use = proto.use;
+  proto.use = function trackedUse(...args) {
+    const before = this.stack.length;
+    const result = use.apply(this, args);
+
+    const paths = getUsePaths(args);
+    if (paths !== null) {
+      this.stack.slice(before).forEach((layer) => {
+        Object.defineProperty(layer, MOUNT_PATHS, { value: paths });
+      });
+    }
+
+    return result;
+  };
+  proto.use[MOUNT_PATHS] = true;
+
+  // app.use() wraps sub-apps in a `mounted_app` layer that hides them
+  const appUse = express.application.use;
+  express.application.use = function trackedAppUse(...args) {
+    const before = getRouterStack(this).length;
+    const result = appUse.apply(this, args);
+
+    const subApps = args
+      .flat(Infinity)
+      .filter((arg) => typeof arg === "function" && arg.handle && arg.set);
+    const layers = getRouterStack(this)
+      .slice(before)
+      .filter((layer) => layer.name === "mounted_app");
+    layers.forEach((layer, i) => {
+      Object.defineProperty(layer, MOUNTED_APP, { value: subApps[i] });
+    });
+
+    return result;
+  };
+
+  return express;
+}
+
+// Mirrors how Router#use tells an explicit path from a middleware list
+function getUsePaths(args) {
+  let arg = args[0];
+  while (Array.isArray(arg) && arg.length !== 0) {
+    arg = arg[0];
+  }
+
+  if (typeof arg === "function") {
+    return ["/"];
+  }
+
+  // RegExp mount paths can't be matched segment by segment
+  const paths = [].concat(args[0]).flat(Infinity);
+  return paths.every((path) => typeof path === "string") ? paths : null;
+}
+
+module.exports = {
+  dispatchToRoutes,
+  getChildStack,
+  getMountPaths,
+  getRegisteredRoutes,
+  getRouter,
+  getRouterStack,
+  trackMountPaths,
+};
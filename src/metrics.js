@@ -0,0 +1,296 @@
+/**
+ * Distance metrics for the typo-tolerant routers
+ *
+ * Every metric compares two strings and returns a non-negative distance,
+ * where 0 means identical. Metrics flagged with `isMetric` satisfy the
+ * triangle inequality, which lets the route index prune its BK-trees; other
+ * metrics are still supported but compared against every indexed route.
+ *
+ * Tolerance semantics per metric:
+ * - "levenshtein": number of inserted, deleted or substituted characters
+ * - "damerau": like "levenshtein", but swapping two adjacent characters
+ *   (`/prodcuts`) counts as a single edit
+ * - "qwerty-weighted": like "levenshtein", but substituting a key with one
+ *   next to it on a QWERTY keyboard (`/ptoducts`) costs 0.5
+ * - "jaro-winkler": 1 minus the Jaro-Winkler similarity, from 0 (identical)
+ *   to 1 (nothing in common); tolerances are fractions such as 0.1
+ */
+
+const Levenshtein = require("levenshtein");
+
+const KEYBOARD_ROWS = ["1234567890", "qwertyuiop", "asdfghjkl", "zxcvbnm"];
+
+// Substituting a key with an adjacent one costs this much
+const ADJACENT_KEY_COST = 0.5;
+
+const BUILT_IN_METRICS = {
+  levenshtein: {
+    distance: levenshteinDistance,
+    isMetric: true,
+    defaultTolerance: 2,
+  },
+  damerau: {
+    distance: damerauLevenshteinDistance,
+    isMetric: true,
+    defaultTolerance: 2,
+  },
+  "qwerty-weighted": {
+    distance: qwertyWeightedDistance,
+    isMetric: true,
+    defaultTolerance: 2,
+  },
+  "jaro-winkler": {
+    distance: jaroWinklerDistance,
+    isMetric: false,
+    defaultTolerance: 0.1,
+  },
+};
+
+/**
+ * Resolves the `metric` option into a metric description
+ *
+ * @param {string|Function} metric Built-in metric name or `(a, b) => number` function (default: "levenshtein")
+ * @returns {Object} Metric with `name`, `distance`, `isMetric` and `defaultTolerance`
+ */
+function resolveMetric(metric = "levenshtein") {
+  if (typeof metric === "function") {
+    // Custom functions aren't assumed to satisfy the triangle inequality
+    return {
+      name: metric.name || "custom",
+      distance: metric,
+      isMetric: false,
+      defaultTolerance: 2,
+    };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(BUILT_IN_METRICS, metric)) {
+    throw new TypeError(
+      `Unknown metric "${metric}", expected one of: ${Object.keys(
+        BUILT_IN_METRICS
+      ).join(", ")} or a function`
+    );
+  }
+
+  return { name: metric, ...BUILT_IN_METRICS[metric] };
+}
+
+/**
+ * Computes the Levenshtein distance between two strings
+ *
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Edit distance
+ */
+function levenshteinDistance(a, b) {
+  return new Levenshtein(a, b).distance;
+}
+
+/**
+ * Computes the Damerau-Levenshtein distance between two strings
+ *
+ * Unlike the optimal string alignment variant, this counts transpositions
+ * even when the swapped characters are edited again, which keeps it a true
+ * metric.
+ *
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Edit distance
+ */
+function damerauLevenshteinDistance(a, b) {
+  const maxDistance = a.length + b.length;
+  const lastRowByChar = new Map();
+  const d = [];
+
+  for (let i = 0; i <= a.length + 1; i++) {
+    d.push(new Array(b.length + 2).fill(0));
+  }
+
+  d[0][0] = maxDistance;
+  for (let i = 0; i <= a.length; i++) {
+    d[i + 1][0] = maxDistance;
+    d[i + 1][1] = i;
+  }
+  for (let j = 0; j <= b.length; j++) {
+    d[0][j + 1] = maxDistance;
+    d[1][j + 1] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    let lastMatchingColumn = 0;
+
+    for (let j = 1; j <= b.length; j++) {
+      const i1 = lastRowByChar.get(b[j - 1]) || 0;
+      const j1 = lastMatchingColumn;
+      let cost = 1;
+
+      if (a[i - 1] === b[j - 1]) {
+        cost = 0;
+        lastMatchingColumn = j;
+      }
+
+      d[i + 1][j + 1] = Math.min(
+        d[i][j] + cost,
+        d[i + 1][j] + 1,
+        d[i][j + 1] + 1,
+        d[i1][j1] + (i - i1 - 1) + 1 + (j - j1 - 1)
+      );
+    }
+
+    lastRowByChar.set(a[i - 1], i);
+  }
+
+  return d[a.length + 1][b.length + 1];
+}
+
+/**
+ * Computes a Levenshtein distance where adjacent-key slips are cheaper
+ *
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Weighted edit distance
+ */
+function qwertyWeightedDistance(a, b) {
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current.push(
+        Math.min(
+          previous[j - 1] + substitutionCost(a[i - 1], b[j - 1]),
+          previous[j] + 1,
+          current[j - 1] + 1
+        )
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Keys adjacent on a QWERTY keyboard, including the staggered rows
+const ADJACENT_KEYS = buildAdjacentKeys();
+
+function buildAdjacentKeys() {
+  const adjacent = new Map();
+
+  const link = (x, y) => {
+    if (!x || !y) {
+      return;
+    }
+    if (!adjacent.has(x)) {
+      adjacent.set(x, new Set());
+    }
+    adjacent.get(x).add(y);
+  };
+
+  KEYBOARD_ROWS.forEach((row, r) => {
+    for (let c = 0; c < row.length; c++) {
+      const key = row[c];
+      const above = KEYBOARD_ROWS[r - 1] || "";
+      const below = KEYBOARD_ROWS[r + 1] || "";
+
+      link(key, row[c - 1]);
+      link(key, row[c + 1]);
+      link(key, above[c]);
+      link(key, above[c + 1]);
+      link(key, below[c]);
+      link(key, below[c - 1]);
+    }
+  });
+
+  return adjacent;
+}
+
+function substitutionCost(x, y) {
+  if (x === y) {
+    return 0;
+  }
+
+  const keys = ADJACENT_KEYS.get(x.toLowerCase());
+  return keys && keys.has(y.toLowerCase()) ? ADJACENT_KEY_COST : 1;
+}
+
+/**
+ * Computes 1 minus the Jaro-Winkler similarity of two strings
+ *
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Distance between 0 and 1
+ */
+function jaroWinklerDistance(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a.length === 0 || b.length === 0) {
+    return 1;
+  }
+
+  const matchWindow = Math.max(
+    0,
+    Math.floor(Math.max(a.length, b.length) / 2) - 1
+  );
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+
+    for (let j = start; j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) {
+    return 1;
+  }
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (aMatches[i]) {
+      while (!bMatches[k]) {
+        k++;
+      }
+      if (a[i] !== b[k]) {
+        transpositions++;
+      }
+      k++;
+    }
+  }
+
+  const jaro =
+    (matches / a.length +
+      matches / b.length +
+      (matches - transpositions / 2) / matches) /
+    3;
+
+  // Winkler boost for a common prefix of up to 4 characters
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return 1 - (jaro + prefix * 0.1 * (1 - jaro));
+}
+
+module.exports = {
+  resolveMetric,
+  levenshteinDistance,
+  damerauLevenshteinDistance,
+  qwertyWeightedDistance,
+  jaroWinklerDistance,
+};
@@ -0,0 +1,125 @@
+/**
+ * Path normalisation for the typo-tolerant routers
+ *
+ * Request paths and registered routes go through the same pipeline before
+ * any distance is computed, so `/products/`, `//products`, `/produ%63ts` or
+ * a full-width `/ｐｒｏｄｕｃｔｓ` aren't mistaken for typos. Structural steps
+ * (slash collapsing, the trailing-slash policy and extension stripping)
+ * rewrite the path that is matched; character steps (percent-decoding,
+ * Unicode NFC, confusable folding and case folding) only apply to the
+ * strings that are compared, so corrected URLs keep the request's own
+ * encoding of parameter values.
+ */
+
+const DEFAULT_NORMALIZATION = {
+  collapseSlashes: true,
+  trailingSlash: "ignore",
+  decode: true,
+  unicode: true,
+  confusables: true,
+  stripExtensions: false,
+};
+
+// Latin look-alikes from other scripts, and dashes that read as hyphens
+const CONFUSABLES = new Map(
+  [
+    ["аеорсухѕіјԁӏһԛԝ", "aeopcyxsijdlhqw"],
+    ["АВЕКМНОРСТХУІЈЅ", "ABEKMHOPCTXYIJS"],
+    ["οανριικυ", "oavpiiku"],
+    ["ΑΒΕΖΗΙΚΜΝΟΡΤΥΧ", "ABEZHIKMNOPTYX"],
+    ["‐‑‒–—−", "------"],
+  ].flatMap(([from, to]) => Array.from(from, (char, i) => [char, to[i]]))
+);
+
+/**
+ * Creates the normalisation pipeline of a configuration
+ *
+ * @param {Object} config Configuration options
+ * @param {boolean} config.caseSensitive Whether to perform case-sensitive matching
+ * @param {Object} config.normalization Pipeline steps (default: every step but `stripExtensions`)
+ * @param {boolean} config.normalization.collapseSlashes Whether `//products` is `/products` (default: true)
+ * @param {string} config.normalization.trailingSlash "ignore" to match `/products/` as `/products`, or "strict" to count the slash as a typo (default: "ignore")
+ * @param {boolean} config.normalization.decode Whether percent-encoded characters compare as the characters themselves (default: true)
+ * @param {boolean} config.normalization.unicode Whether to compare Unicode in NFC, so composed and decomposed accents are equal (default: true)
+ * @param {boolean} config.normalization.confusables Whether to fold full-width forms (NFKC) and look-alike letters onto Latin ones (default: true)
+ * @param {boolean|Array} config.normalization.stripExtensions Whether to ignore a file extension on the last segment, or the extensions to ignore, e.g. `[".json"]` (default: false)
+ * @returns {Object} Pipeline with `path(path)`, which rewrites the path to match, and `key(value)`, which returns the string to compare
+ */
+function createNormalizer(config = {}) {
+  const settings = { ...DEFAULT_NORMALIZATION, ...config.normalization };
+  const extensions =
+    settings.stripExtensions === true
+      ? /\.[a-z0-9]+$/i
+      : Array.isArray(settings.stripExtensions)
+      ? new RegExp(
+          `(?:${settings.stripExtensions
+            .map((extension) =>
+              extension.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+            )
+            .join("|")})$`,
+          "i"
+        )
+      : null;
+
+  function path(value) {
+    let result = value;
+
+    if (settings.collapseSlashes) {
+      result = result.replace(/\/{2,}/g, "/");
+    }
+    if (settings.trailingSlash === "ignore" && result.length > 1) {
+      result = result.replace(/\/+$/, "") || "/";
+    }
+
+    // Only strip extensions of segments that have a name besides them
+    if (extensions) {
+      const lastSegment = result.substring(result.lastIndexOf("/") + 1);
+      const match = extensions.exec(lastSegment);
+      if (match && match.index > 0) {
+        result = result.substring(0, result.length - match[0].length);
+      }
+    }
+
+    return result;
+  }
+
+  function key(value) {
+    let result = value;
+
+    if (settings.decode && result.includes("%")) {
+      result = decodePercentEncoding(result);
+    }
+
+    // ASCII needs no Unicode normalisation
+    if (/[^\x00-\x7f]/.test(result)) {
+      if (settings.confusables) {
+        result = Array.from(
+          result.normalize("NFKC"),
+          (char) => CONFUSABLES.get(char) || char
+        ).join("");
+      } else if (settings.unicode) {
+        result = result.normalize("NFC");
+      }
+    }
+
+    return config.caseSensitive ? result : result.toLowerCase();
+  }
+
+  return { path, key };
+}
+
+// Decodes runs of percent-encoded bytes, except slashes, which would
+// change the segments of a path; malformed runs are kept as is
+function decodePercentEncoding(value) {
+  return value.replace(/(?:%(?!2f)[0-9a-f]{2})+/gi, (run) => {
+    try {
+      return decodeURIComponent(run);
+    } catch (error) {
+      return run;
+    }
+  });
+}
+
+module.exports = {
+  createNormalizer,
+};
@@ -0,0 +1,282 @@
+/**
+ * OpenAPI route source for the typo-tolerant routers
+ *
+ * Routes wired up by code generated from an OpenAPI 3 document lose what the
+ * document says about them. The advanced router can read its route table
+ * from the document instead: `{param}` templates become Express parameters,
+ * path parameter schemas become parameter validators (see
+ * param-validators.js), query parameters become the query keys of the route
+ * (see query-keys.js) and operation IDs are reported with suggestions. An
+ * `x-typo-tolerant` extension on an operation takes the options of a
+ * `typoTolerant()` marker (see route-options.js).
+ */
+
+const fs = require("fs");
+const nodePath = require("path");
+const { parseRoutePath } = require("./route-path");
+
+// Operations of a path item, as named by OpenAPI and Express alike
+const METHODS = [
+  "get",
+  "put",
+  "post",
+  "delete",
+  "options",
+  "head",
+  "patch",
+  "trace",
+];
+
+/**
+ * Extracts the routes of an OpenAPI 3 document
+ *
+ * Routes are returned in document order, in the shape of the routes of
+ * express-routes.js, with the route options the document implies.
+ *
+ * @param {Object|string} source OpenAPI document, or the path of a JSON or YAML file
+ * @param {Object} options Extraction options
+ * @param {string} options.basePath Path the API is mounted at (default: the path of the first server URL)
+ * @param {Object} options.logger Logger warned about schema patterns that can't be compiled (default: console)
+ * @returns {Array} Array of route objects
+ */
+function getOpenApiRoutes(source, options = {}) {
+  const document = loadOpenApiDocument(source);
+  const basePath = (
+    options.basePath === undefined ? getServerPath(document) : options.basePath
+  ).replace(/\/+$/, "");
+  const routes = [];
+
+  Object.keys(document.paths || {}).forEach((template) => {
+    const pathItem = resolveRef(document, document.paths[template]) || {};
+    const path = basePath + toExpressPath(template);
+
+    METHODS.filter((method) => pathItem[method]).forEach((method) => {
+      const operation = pathItem[method];
+      const parameters = getParameters(document, pathItem, operation);
+
+      routes.push({
+        path: path || "/",
+        method,
+        variants: parseRoutePath(path || "/"),
+        options: getRouteOptions(document, operation, parameters, {
+          logger: options.logger,
+          location: `${method.toUpperCase()} ${template}`,
+        }),
+      });
+    });
+  });
+
+  return routes;
+}
+
+/**
+ * Loads an OpenAPI document
+ *
+ * YAML files need the `yaml` or `js-yaml` package to be installed.
+ *
+ * @param {Object|string} source OpenAPI document, or the path of a JSON or YAML file
+ * @returns {Object} OpenAPI document
+ */
+function loadOpenApiDocument(source) {
+  if (typeof source !== "string") {
+    return source;
+  }
+
+  const text = fs.readFileSync(source, "utf8");
+  const extension = nodePath.extname(source).toLowerCase();
+  return extension === ".yaml" || extension === ".yml"
+    ? parseYaml(text, source)
+    : JSON.parse(text);
+}
+
+function parseYaml(text, source) {
+  for (const [name, parse] of [
+    ["yaml", (yaml) => yaml.parse(text)],
+    ["js-yaml", (yaml) => yaml.load(text)],
+  ]) {
+    let yaml;
+    try {
+      yaml = require(name);
+    } catch (error) {
+      continue;
+    }
+    return parse(yaml);
+  }
+
+  throw new Error(
+    `Loading ${source} needs the "yaml" or "js-yaml" package; install one, or pass the parsed document`
+  );
+}
+
+// The path of the first server URL; templated server URLs are ignored
+function getServerPath(document) {
+  const [server] = document.servers || [];
+  if (!server || !server.url || server.url.includes("{")) {
+    return "";
+  }
+
+  const match = /^(?:[a-z][a-z0-9+.-]*:)?\/\/[^/]*(.*)$/i.exec(server.url);
+  return match ? match[1] : server.url;
+}
+
+// `/users/{userId}` becomes `/users/:userId`; names Express can't take
+// have their other characters replaced by `_`
+function toExpressPath(template) {
+  return template.replace(
+    /\{([^}]+)\}/g,
+    (match, name) => `:${toParamName(name)}`
+  );
+}
+
+function toParamName(name) {
+  return name.replace(/[^\w$]/g, "_");
+}
+
+// Operation parameters override the path item's with the same name and location
+function getParameters(document, pathItem, operation) {
+  const parameters = new Map();
+
+  [pathItem.parameters, operation.parameters].forEach((list) => {
+    (list || []).forEach((reference) => {
+      const parameter = resolveRef(document, reference);
+      if (parameter) {
+        parameters.set(`${parameter.in} ${parameter.name}`, parameter);
+      }
+    });
+  });
+
+  return Array.from(parameters.values());
+}
+
+// Route options as a typoTolerant() marker would carry them
+function getRouteOptions(document, operation, parameters, context) {
+  const options = { ...operation["x-typo-tolerant"] };
+
+  if (operation.operationId) {
+    options.operationId = operation.operationId;
+  }
+
+  const validators = {};
+  parameters
+    .filter((parameter) => parameter.in === "path")
+    .forEach((parameter) => {
+      const validator = toParamValidator(
+        resolveRef(document, parameter.schema),
+        { ...context, name: parameter.name }
+      );
+      if (validator) {
+        validators[toParamName(parameter.name)] = validator;
+      }
+    });
+  if (!options.params && Object.keys(validators).length > 0) {
+    options.params = validators;
+  }
+
+  const queryKeys = parameters
+    .filter((parameter) => parameter.in === "query")
+    .map((parameter) => parameter.name);
+  if (!options.query && queryKeys.length > 0) {
+    options.query = queryKeys;
+  }
+
+  return options;
+}
+
+/**
+ * Turns the schema of a path parameter into a parameter validator
+ *
+ * @param {Object} schema JSON Schema of the parameter
+ * @param {Object} context Where the schema comes from, for warnings
+ * @param {Object} context.logger Logger to warn with (default: console)
+ * @param {string} context.location Operation of the parameter, like `"GET /users/{id}"`
+ * @param {string} context.name Name of the parameter
+ * @returns {string|Function|null} Validator (see param-validators.js), or null if the schema allows any segment
+ */
+function toParamValidator(schema, context) {
+  if (!schema) {
+    return null;
+  }
+
+  if (Array.isArray(schema.enum)) {
+    const values = schema.enum.map(String);
+    return (value) => values.includes(value);
+  }
+
+  if (schema.type === "integer") {
+    return "int";
+  }
+  if (schema.type === "number") {
+    return "number";
+  }
+  if (schema.type === "boolean") {
+    return (value) => value === "true" || value === "false";
+  }
+  if (schema.format === "uuid") {
+    return "uuid";
+  }
+
+  // Unlike route constraints, schema patterns aren't anchored
+  if (typeof schema.pattern === "string") {
+    const pattern = compilePattern(schema.pattern);
+    if (pattern) {
+      return (value) => pattern.test(value);
+    }
+    warnInvalidPattern(schema.pattern, context);
+  }
+
+  return null;
+}
+
+// Schema patterns are meant as Unicode regular expressions, but many escape
+// characters like `\-` that only the non-Unicode syntax accepts
+function compilePattern(pattern) {
+  for (const flags of ["u", ""]) {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      // Try the next syntax
+    }
+  }
+  return null;
+}
+
+// A pattern that doesn't compile leaves its parameter unvalidated
+function warnInvalidPattern(pattern, context) {
+  const message = `Ignoring the pattern ${JSON.stringify(
+    pattern
+  )} of parameter "${context.name}" of ${
+    context.location
+  }, which isn't a valid regular expression`;
+  if (context.logger) {
+    // `msg` is pino's message key, `message` is winston's
+    context.logger.warn({ msg: message, message });
+  } else {
+    console.warn(message);
+  }
+}
+
+// Follows local references like `#/components/parameters/UserId`
+function resolveRef(document, value) {
+  let resolved = value;
+  const seen = new Set();
+
+  while (resolved && typeof resolved.$ref === "string") {
+    if (seen.has(resolved.$ref) || !resolved.$ref.startsWith("#/")) {
+      return null;
+    }
+    seen.add(resolved.$ref);
+
+    resolved = resolved.$ref
+      .substring(2)
+      .split("/")
+      .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+      .reduce((parent, key) => (parent ? parent[key] : undefined), document);
+  }
+
+  return resolved || null;
+}
+
+module.exports = {
+  getOpenApiRoutes,
+  loadOpenApiDocument,
+};
@@ -0,0 +1,75 @@
+/**
+ * Parameter validators for the typo-tolerant routers
+ *
+ * A parameterized route accepts any segment in a parameter slot, so
+ * `/usrs/settings` is as close to `/users/:userId` as `/usrs/42`. Routes can
+ * declare what their parameters look like (see route-options.js), and
+ * candidates whose parameters don't are rejected.
+ */
+
+// Built-in parameter types
+const PARAM_TYPES = {
+  int: (value) => /^-?\d+$/.test(value),
+  number: (value) => value.trim() !== "" && Number.isFinite(Number(value)),
+  uuid: (value) =>
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      value
+    ),
+};
+
+/**
+ * Resolves a parameter validator
+ *
+ * @param {string|RegExp|Function} validator Type name ("int", "number" or "uuid"), RegExp the whole value must match, or `(value) => boolean`
+ * @returns {Function} Function returning whether a decoded value is valid
+ */
+function createParamValidator(validator) {
+  if (typeof validator === "function") {
+    return validator;
+  }
+
+  if (validator instanceof RegExp) {
+    // Like route constraints, the expression must match the whole value
+    const anchored = new RegExp(
+      `^(?:${validator.source})$`,
+      validator.flags.replace("g", "")
+    );
+    return (value) => anchored.test(value);
+  }
+
+  if (PARAM_TYPES[validator]) {
+    return PARAM_TYPES[validator];
+  }
+
+  throw new TypeError(
+    `Parameter validators must be "int", "number", "uuid", a RegExp or a function, got ${validator}`
+  );
+}
+
+/**
+ * Checks the parameters extracted for a candidate route
+ *
+ * @param {Object} validators Validators by parameter name
+ * @param {Object} params Extracted parameters, as in the request path
+ * @returns {boolean} Whether every validated parameter is valid
+ */
+function validateParams(validators, params) {
+  return Object.keys(validators).every(
+    (name) =>
+      params[name] === undefined || validators[name](decodeParam(params[name]))
+  );
+}
+
+// Decodes a parameter the way Express does, keeping malformed ones as is
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+module.exports = {
+  createParamValidator,
+  validateParams,
+};
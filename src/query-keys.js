@@ -0,0 +1,155 @@
+/**
+ * Query key correction for the typo-tolerant routers
+ *
+ * Routes can declare the query keys they expect (see route-options.js).
+ * Unknown keys of a request to such a route, like `?pgae=2`, are corrected
+ * onto the closest expected key with the same metric and segment tolerance
+ * as path segments. Values are left untouched, and so are keys that are
+ * as close to several expected keys, or whose correction is already present.
+ */
+
+const { allowsMethod, findExactRoutes } = require("./route-index");
+
+/**
+ * Corrects the query keys of a request onto the keys of the matched route
+ *
+ * @param {Object} req Express request
+ * @param {Object} index Route index
+ * @param {Object} match Match the request is handled by
+ * @param {Object} config Configuration options
+ * @returns {Object|null} `{ search, corrections }` with the corrected query
+ *   string (without "?") and the corrected keys, or null if none were
+ */
+function correctQuery(req, index, match, config) {
+  const queryStart = req.url.indexOf("?");
+  if (index.queryKeys.size === 0 || queryStart === -1) {
+    return null;
+  }
+
+  const route = findExactRoutes(index, match.matchedUrl).find((candidate) =>
+    allowsMethod(candidate, match.method)
+  );
+  const keys = route && index.queryKeys.get(route);
+  if (!keys) {
+    return null;
+  }
+
+  return correctQueryKeys(req.url.substring(queryStart + 1), keys, config);
+}
+
+/**
+ * Corrects unknown keys of a query string onto expected keys
+ *
+ * @param {string} search Query string, without "?"
+ * @param {Array} keys Expected query keys
+ * @param {Object} config Configuration options
+ * @param {boolean} config.caseSensitive Whether to perform case-sensitive matching
+ * @param {Object} config.metric Resolved distance metric (see metrics.js)
+ * @param {Object} config.budget Tolerance budget (see tolerance.js)
+ * @returns {Object|null} `{ search, corrections }`, or null if no key was corrected
+ */
+function correctQueryKeys(search, keys, config) {
+  const normalize = config.caseSensitive
+    ? (value) => value
+    : (value) => value.toLowerCase();
+
+  const expected = new Map(keys.map((key) => [normalize(key), key]));
+  const parts = search.split("&").map(parseQueryPart);
+  const present = new Set(parts.map((part) => normalize(part.key)));
+  const corrections = {};
+
+  const corrected = parts.map((part) => {
+    if (!part.key || expected.get(normalize(part.key)) === part.key) {
+      return part.raw;
+    }
+
+    // Keys aren't merged into one the query already has
+    const target = findClosestKey(normalize(part.key), expected, config);
+    if (
+      !target ||
+      (normalize(target) !== normalize(part.key) &&
+        present.has(normalize(target)))
+    ) {
+      return part.raw;
+    }
+
+    corrections[part.key] = target;
+    return encodeURIComponent(target) + part.raw.substring(part.keyLength);
+  });
+
+  return Object.keys(corrections).length > 0
+    ? { search: corrected.join("&"), corrections }
+    : null;
+}
+
+/**
+ * Renames corrected keys in an already parsed `req.query`
+ *
+ * Express 4 parses the query once, before any middleware runs; Express 5
+ * parses `req.url` whenever `req.query` is read, so it needs no renaming.
+ *
+ * @param {Object} req Express request
+ * @param {Object} corrections Corrected keys, by original key
+ */
+function renameQueryKeys(req, corrections) {
+  if (!Object.prototype.hasOwnProperty.call(req, "query")) {
+    return;
+  }
+
+  Object.keys(corrections).forEach((key) => {
+    if (key in req.query) {
+      req.query[corrections[key]] = req.query[key];
+      delete req.query[key];
+    }
+  });
+}
+
+// Splits a query parameter into its decoded top-level key (`filter` for
+// `filter[name]=x`) and the length of that key in the raw text
+function parseQueryPart(raw) {
+  const end = raw.indexOf("=");
+  const rawKey = end === -1 ? raw : raw.substring(0, end);
+  const bracket = rawKey.indexOf("[");
+  const rawBase = bracket > 0 ? rawKey.substring(0, bracket) : rawKey;
+
+  return { raw, key: decodeKey(rawBase), keyLength: rawBase.length };
+}
+
+function decodeKey(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  } catch (error) {
+    return value;
+  }
+}
+
+// The closest expected key within tolerance, unless several are as close
+function findClosestKey(key, expected, config) {
+  const tolerance = config.budget.segment(key.length);
+  let best = null;
+  let tied = false;
+
+  for (const [normalized, original] of expected) {
+    const distance = config.metric.distance(key, normalized);
+
+    // A key is never corrected onto one it has nothing in common with
+    if (distance > tolerance || distance >= key.length) {
+      continue;
+    }
+
+    if (!best || distance < best.distance) {
+      best = { key: original, distance };
+      tied = false;
+    } else if (distance === best.distance) {
+      tied = true;
+    }
+  }
+
+  return best && !tied ? best.key : null;
+}
+
+module.exports = {
+  correctQuery,
+  correctQueryKeys,
+  renameQueryKeys,
+};
@@ -0,0 +1,89 @@
+/**
+ * Redirects for the typo-tolerant routers
+ *
+ * In "redirect" mode a corrected request is sent to the URL it was
+ * corrected to, with a configurable status. A redirect is only sent when
+ * that URL will be served without another correction, so two similar routes
+ * can't send clients back and forth. Rewritten responses can instead point
+ * clients and crawlers to the corrected URL with a canonical Link header.
+ */
+
+const { toHeaderValue } = require("./correction-events");
+const { allowsMethod, findExactRoutes } = require("./route-index");
+
+// Statuses that keep the method and body of the redirected request
+const METHOD_PRESERVING_STATUSES = { 301: 308, 302: 307, 307: 307, 308: 308 };
+
+/**
+ * Checks a configured redirect status
+ *
+ * @param {number} status Redirect status: 301, 302, 307 or 308
+ * @returns {number} The status
+ */
+function validateRedirectStatus(status) {
+  if (!METHOD_PRESERVING_STATUSES[status]) {
+    throw new TypeError(
+      `The redirect status must be 301, 302, 307 or 308, got ${status}`
+    );
+  }
+  return status;
+}
+
+/**
+ * Returns the status to redirect a request with
+ *
+ * GET and HEAD requests get the configured status; other requests get its
+ * counterpart keeping the method and body, 308 for 301 and 307 for 302.
+ *
+ * @param {number} status Configured redirect status
+ * @param {string} method Lower-case HTTP method
+ * @returns {number} Redirect status
+ */
+function getRedirectStatus(status, method) {
+  return method === "get" || method === "head"
+    ? status
+    : METHOD_PRESERVING_STATUSES[status];
+}
+
+/**
+ * Whether redirecting a request to a URL can't start a redirect loop
+ *
+ * The URL must differ from the request's, and match a route of the
+ * request method exactly, so requesting it is never corrected again.
+ *
+ * @param {Object} req Express request
+ * @param {Object} index Route index
+ * @param {Object} match Match the request was corrected to
+ * @param {string} url URL to redirect to, relative to `req.baseUrl`
+ * @returns {boolean} True if the redirect is safe
+ */
+function canRedirect(req, index, match, url) {
+  const method = req.method.toLowerCase();
+
+  return (
+    url !== req.url &&
+    findExactRoutes(index, match.matchedUrl).some((route) =>
+      allowsMethod(route, method)
+    )
+  );
+}
+
+/**
+ * Adds a canonical Link header pointing to the path a request was rewritten to
+ *
+ * The query string is left out, as it doesn't identify the content.
+ *
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {string} path Rewritten path, relative to `req.baseUrl`
+ */
+function linkCanonical(req, res, path) {
+  res.append("Link", `<${toHeaderValue(req.baseUrl + path)}>; rel="canonical"`);
+}
+
+module.exports = {
+  canRedirect,
+  getRedirectStatus,
+  linkCanonical,
+  validateRedirectStatus,
+};
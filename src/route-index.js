@@ -0,0 +1,486 @@
+/**
+ * Route index for the typo-tolerant routers
+ *
+ * Extracting routes means walking the whole Express stack and parsing every
+ * route path. This module builds a searchable index of the extracted routes
+ * once per app and only rebuilds it when the stack changes.
+ */
+
+const createBKTree = require("./bk-tree");
+const { getChildStack, getRouter } = require("./express-routes");
+const { createNormalizer } = require("./normalization");
+const { validateParams } = require("./param-validators");
+const {
+  resolveRouteParamValidators,
+  resolveRoutePriority,
+  resolveRouteQueryKeys,
+  resolveRouteTolerance,
+} = require("./route-options");
+const { formatStaticSegments, isStaticSegments } = require("./route-path");
+const createSegmentTrie = require("./segment-trie");
+
+// Ranking cost of each segment captured in a parameter, so a static route
+// one edit further away still wins over a parameterized one
+const PARAM_CAPTURE_COST = 1;
+
+/**
+ * Builds a fuzzy-searchable index over a list of routes
+ *
+ * Every variant of a route path (see route-path.js) is indexed on its own:
+ * static variants go into a BK-tree keyed by their full path, and every
+ * variant with segments into a segment trie, so inserted, dropped and
+ * swapped segments can be aligned. Routes registered with a RegExp are kept
+ * aside for exact matching. Each indexed entry keeps its registration order
+ * so lookups can break ties the same way a linear scan would, its own
+ * tolerance if the route overrides it, its priority (see route-options.js)
+ * and how many segments it captures in parameters. Static entries also keep
+ * their URL, and parameterized entries the validators of their parameters.
+ * The query keys routes expect are kept by route. Route paths are keyed the
+ * way request paths are normalized (see normalization.js).
+ *
+ * @param {Array} routes Array of route objects
+ * @param {Object} config Configuration options
+ * @param {boolean} config.caseSensitive Whether to perform case-sensitive matching
+ * @param {Object} config.normalization Normalisation steps (see normalization.js)
+ * @param {Object} config.metric Resolved distance metric (see metrics.js)
+ * @param {Array} config.include Route path globs or RegExps that may be fuzzy-matched
+ * @param {Array} config.exclude Route path globs or RegExps that are never fuzzy-matched
+ * @param {Object} config.routeTolerance Tolerances by route path glob
+ * @param {Object} config.routePriority Priorities by route path glob
+ * @param {Object} config.queryKeys Query keys or JSON Schemas by route path glob
+ * @param {Object} config.paramValidators Parameter validators by route path glob
+ * @returns {Object} Route index
+ */
+function buildRouteIndex(routes, config) {
+  const normalizer = createNormalizer(config);
+  const normalize = normalizer.key;
+
+  const { distance, isMetric } = config.metric;
+  const staticTree = createBKTree(distance, { isMetric });
+  const segmentTrie = createSegmentTrie({ distance, isMetric, normalize });
+  const patternRoutes = [];
+  const toleranceOverrides = new Set();
+  const queryKeys = new Map();
+
+  routes.forEach((route, order) => {
+    if (route.regexp) {
+      patternRoutes.push({ route, order });
+    }
+
+    const tolerance = resolveRouteTolerance(route, config);
+    if (tolerance) {
+      toleranceOverrides.add(tolerance);
+    }
+    const priority = resolveRoutePriority(route, config);
+    const validators = resolveRouteParamValidators(route, config);
+
+    const keys = resolveRouteQueryKeys(route, config);
+    if (keys) {
+      queryKeys.set(route, keys);
+    }
+
+    for (const segments of route.variants) {
+      if (isStaticSegments(segments)) {
+        const url = formatStaticSegments(segments);
+        const entry = {
+          route,
+          order,
+          segments,
+          url,
+          tolerance,
+          priority,
+          paramSegments: 0,
+        };
+        staticTree.add(normalize(normalizer.path(url)), entry);
+        if (segments.length > 0) {
+          segmentTrie.insert(normalizeLastSegment(segments, normalizer), entry);
+        }
+      } else {
+        segmentTrie.insert(normalizeLastSegment(segments, normalizer), {
+          route,
+          order,
+          segments,
+          tolerance,
+          priority,
+          validators,
+          paramSegments: segments.filter((segment) => segment.type !== "static")
+            .length,
+        });
+      }
+    }
+  });
+
+  return {
+    routes,
+    normalize,
+    normalizePath: normalizer.path,
+    staticTree,
+    segmentTrie,
+    patternRoutes,
+    toleranceOverrides: Array.from(toleranceOverrides),
+    queryKeys,
+  };
+}
+
+// Strips a file extension from the last segment of a route in a segment
+// trie, as from request paths; entries keep the original segments to build URLs
+function normalizeLastSegment(segments, normalizer) {
+  const last = segments[segments.length - 1];
+  if (last.type !== "static") {
+    return segments;
+  }
+
+  const value = normalizer.path("/" + last.value).substring(1);
+  return value === last.value
+    ? segments
+    : segments.slice(0, -1).concat({ ...last, value });
+}
+
+/**
+ * Returns the distance a lookup has to search up to
+ *
+ * Routes with a larger tolerance of their own widen the search; candidates
+ * are narrowed down to each route's tolerance by `rankCandidates()`.
+ *
+ * @param {Object} index Route index
+ * @param {number} tolerance Tolerance of the middleware
+ * @param {number} length Length of the request path
+ * @returns {number} Maximum distance to search
+ */
+function getSearchTolerance(index, tolerance, length) {
+  return index.toleranceOverrides.reduce(
+    (max, override) => Math.max(max, override(length)),
+    tolerance
+  );
+}
+
+/**
+ * Finds the routes registered with a RegExp that match a request path
+ *
+ * @param {Object} index Route index
+ * @param {string} path Request path
+ * @returns {Array} Matching `{ route, order }` entries, in registration order
+ */
+function matchPatternRoutes(index, path) {
+  return index.patternRoutes.filter(({ route }) => {
+    const prefix = route.prefix;
+    if (
+      index.normalize(path.substring(0, prefix.length)) !==
+      index.normalize(prefix)
+    ) {
+      return false;
+    }
+
+    route.regexp.lastIndex = 0;
+    return route.regexp.test(path.substring(prefix.length) || "/");
+  });
+}
+
+/**
+ * Finds the routes of any method that match a request path exactly
+ *
+ * @param {Object} index Route index
+ * @param {string} requestPath Request path, normalized or not
+ * @returns {Array} Matching routes, in registration order
+ */
+function findExactRoutes(index, requestPath) {
+  const path = index.normalizePath(requestPath);
+  const entries = searchStaticRoutes(index, path, 0)
+    .concat(searchExactParamRoutes(index, splitPath(path)))
+    .map((candidate) => candidate.entry)
+    .concat(matchPatternRoutes(index, path));
+
+  return entries
+    .sort((a, b) => a.order - b.order)
+    .map((entry) => entry.route)
+    .filter((route, i, routes) => routes.indexOf(route) === i);
+}
+
+/**
+ * Finds the methods a path is registered under, when the request method
+ * isn't one of them
+ *
+ * Only static routes count: a parameter or wildcard route of another method
+ * would claim every path it can match, like `/favicon.ico` for `/:slug`.
+ *
+ * @param {Object} index Route index
+ * @param {string} requestPath Request path, normalized or not
+ * @param {string} method Lower-case HTTP method
+ * @returns {Array|null} Lower-case methods of the static routes matching the path, or null
+ */
+function findOtherMethods(index, requestPath, method) {
+  const routes = searchStaticRoutes(index, index.normalizePath(requestPath), 0)
+    .sort((a, b) => a.entry.order - b.entry.order)
+    .map((candidate) => candidate.entry.route);
+
+  if (
+    routes.length === 0 ||
+    routes.some((route) => allowsMethod(route, method))
+  ) {
+    return null;
+  }
+  return routes.map((route) => route.method);
+}
+
+/**
+ * Finds the parameterized routes that match request segments exactly
+ *
+ * @param {Object} index Route index
+ * @param {Array} segments Request path segments
+ * @returns {Array} Array of `{ entry, distance, params, captures }` candidates
+ */
+function searchExactParamRoutes(index, segments) {
+  return index.segmentTrie
+    .search(segments, {
+      tolerance: 0,
+      segmentTolerance: () => 0,
+      segmentCountTolerance: 0,
+    })
+    .filter((candidate) => candidate.entry.paramSegments > 0);
+}
+
+/**
+ * Whether a route handles a request method
+ *
+ * As in Express, routes registered with `app.all()` handle every method and
+ * GET routes also handle HEAD requests.
+ *
+ * @param {Object} route Route object
+ * @param {string} method Lower-case HTTP method
+ * @returns {boolean} True if the route handles the method
+ */
+function allowsMethod(route, method) {
+  return (
+    route.method === method ||
+    route.method === "_all" ||
+    (method === "head" && route.method === "get")
+  );
+}
+
+/**
+ * Finds the static routes within the tolerance of a request path
+ *
+ * @param {Object} index Route index
+ * @param {string} path Normalized request path
+ * @param {number} tolerance Maximum edit distance
+ * @returns {Array} Array of `{ entry, distance }` candidates
+ */
+function searchStaticRoutes(index, path, tolerance) {
+  const candidates = [];
+
+  for (const match of index.staticTree.search(
+    index.normalize(path),
+    tolerance
+  )) {
+    for (const entry of match.values) {
+      candidates.push({ entry, distance: match.distance });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Sorts accepted candidates by distance, breaking ties by registration order
+ *
+ * Only the closest variant of each route is kept, so an optional parameter
+ * isn't dropped to save its capture cost. Fuzzy candidates whose parameters
+ * fail their route's validators are dropped, while exact ones are kept
+ * since the route would handle the request anyway. Routes are ranked by
+ * distance plus a cost per segment captured in a parameter (see
+ * `getRankingDistance()`); at the same ranking distance, routes capturing
+ * fewer segments in parameters come first, then alignments keeping more
+ * request segments (see `countAlignedSegments()`). When a limit is given,
+ * candidates further away than their route's tolerance are dropped.
+ *
+ * @param {Array} candidates Array of `{ entry, distance, params }` candidates
+ * @param {Function} accept Predicate deciding whether a route may be used
+ * @param {Object} limit Distance limit (default: none)
+ * @param {number} limit.tolerance Tolerance of routes without their own
+ * @param {number} limit.length Length of the request path
+ * @returns {Array} Accepted candidates, closest first
+ */
+function rankCandidates(candidates, accept, limit) {
+  const seen = new Set();
+  const withinTolerance = ({ entry, distance }) =>
+    !limit ||
+    distance <=
+      (entry.tolerance ? entry.tolerance(limit.length) : limit.tolerance);
+  const hasValidParams = ({ entry, distance, params }) =>
+    distance === 0 ||
+    !entry.validators ||
+    validateParams(entry.validators, params);
+
+  return candidates
+    .filter(
+      (candidate) =>
+        accept(candidate.entry.route) &&
+        withinTolerance(candidate) &&
+        hasValidParams(candidate)
+    )
+    .sort((a, b) => a.distance - b.distance || breakTie(a, b))
+    .filter((candidate) => {
+      if (seen.has(candidate.entry.route)) {
+        return false;
+      }
+      seen.add(candidate.entry.route);
+      return true;
+    })
+    .sort(
+      (a, b) =>
+        getRankingDistance(a.distance, a.entry.paramSegments) -
+          getRankingDistance(b.distance, b.entry.paramSegments) ||
+        breakTie(a, b)
+    );
+}
+
+// Orders candidates as close as each other: fewer segments captured in
+// parameters first, then more aligned segments, then registration order
+function breakTie(a, b) {
+  return (
+    a.entry.paramSegments - b.entry.paramSegments ||
+    countAlignedSegments(b) - countAlignedSegments(a) ||
+    a.entry.order - b.entry.order
+  );
+}
+
+/**
+ * Computes the distance candidates are ranked by
+ *
+ * Every segment captured in a parameter adds to the distance, since a
+ * parameter accepts any segment: `/usrs/settings` is closer to
+ * `/users/:userId` than to `/user/settings`, but more likely meant the
+ * latter.
+ *
+ * @param {number} distance Distance of the candidate
+ * @param {number} paramSegments Number of segments captured in parameters
+ * @returns {number} Ranking distance
+ */
+function getRankingDistance(distance, paramSegments) {
+  return distance + PARAM_CAPTURE_COST * (paramSegments || 0);
+}
+
+/**
+ * Counts the request segments a segment trie candidate aligned with route
+ * segments, rather than dropping or skipping them
+ *
+ * @param {Object} candidate Candidate returned by a segment trie
+ * @returns {number} Number of aligned segments, or 0 for candidates matched by their whole path
+ */
+function countAlignedSegments(candidate) {
+  return candidate.captures ? candidate.captures.filter(Boolean).length : 0;
+}
+
+/**
+ * Splits a path into its non-empty segments
+ *
+ * @param {string} path URL path or route path
+ * @returns {Array} Array of path segments
+ */
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
+}
+
+/**
+ * Creates a cache of route indexes, keyed by Express app
+ *
+ * @param {Function} buildIndex Function that builds the route index of an app
+ * @param {Object} options Cache options
+ * @param {boolean} options.autoRefresh Whether to rebuild when routes are added later (default: true)
+ * @returns {Object} Cache with `getIndex(app)` and `refresh()` methods
+ */
+function createRouteCache(buildIndex, options = {}) {
+  const autoRefresh = options.autoRefresh !== false;
+  let entries = new WeakMap();
+
+  /**
+   * Returns the cached route index of an app, rebuilding it if needed
+   *
+   * @param {Object} app Express application
+   * @returns {Object} Route index
+   */
+  function getIndex(app) {
+    const entry = entries.get(app);
+
+    if (entry && (!autoRefresh || !isStackChanged(entry.snapshot, app))) {
+      return entry.index;
+    }
+
+    const index = buildIndex(app);
+    entries.set(app, { index, snapshot: getStackSnapshot(app) });
+    return index;
+  }
+
+  /**
+   * Drops every cached route index so the next request rebuilds it
+   */
+  function refresh() {
+    entries = new WeakMap();
+  }
+
+  return { getIndex, refresh };
+}
+
+/**
+ * Records the router stacks of an app and their lengths
+ *
+ * Registering a route, sub-router or sub-app adds a layer to one of these
+ * stacks, so comparing their lengths tells whether the index is stale
+ * without walking every route on each request. Methods added later to an
+ * existing `app.route()` don't change any stack, and need a `refresh()`.
+ *
+ * @param {Object} app Express application
+ * @returns {Object} Snapshot for `isStackChanged()`
+ */
+function getStackSnapshot(app) {
+  const stacks = [];
+
+  function collectStacks(stack) {
+    stacks.push({ stack, length: stack.length });
+
+    for (const layer of stack) {
+      const childStack = layer.route ? null : getChildStack(layer);
+      if (childStack) {
+        collectStacks(childStack);
+      }
+    }
+  }
+
+  const router = getRouter(app);
+  collectStacks(router ? router.stack : []);
+  return { router, stacks };
+}
+
+/**
+ * Tells whether layers were registered since a snapshot was taken
+ *
+ * @param {Object} snapshot Snapshot from `getStackSnapshot()`
+ * @param {Object} app Express application
+ * @returns {boolean} Whether the app's routes may have changed
+ */
+function isStackChanged(snapshot, app) {
+  // Express 4 only creates its router once the first layer is registered
+  if (getRouter(app) !== snapshot.router) {
+    return true;
+  }
+
+  return snapshot.stacks.some(({ stack, length }) => stack.length !== length);
+}
+
+module.exports = {
+  allowsMethod,
+  buildRouteIndex,
+  countAlignedSegments,
+  createRouteCache,
+  findExactRoutes,
+  findOtherMethods,
+  getRankingDistance,
+  getSearchTolerance,
+  getStackSnapshot,
+  isStackChanged,
+  matchPatternRoutes,
+  rankCandidates,
+  searchExactParamRoutes,
+  searchStaticRoutes,
+  splitPath,
+};
@@ -0,0 +1,231 @@
+/**
+ * Per-route options for the typo-tolerant routers
+ *
+ * Routes can opt out of fuzzy matching or get their own tolerance, either
+ * from the middleware options (`include`, `exclude` and `routeTolerance`,
+ * matched against route paths) or at registration time with the
+ * `typoTolerant()` marker middleware. Routes that opt out still match
+ * exactly; they are never the target of a correction. Routes can also be
+ * given a priority, used to settle ambiguous matches (see ambiguity.js),
+ * the query keys they expect (see query-keys.js) and validators for their
+ * parameters (see param-validators.js).
+ */
+
+const { createParamValidator } = require("./param-validators");
+const { resolveTolerance } = require("./tolerance");
+
+// Options of a typoTolerant() marker, stored on the marker middleware
+const ROUTE_OPTIONS = Symbol("typoTolerantRouteOptions");
+
+// Tolerance of routes that are never fuzzy-matched
+const NO_TOLERANCE = () => 0;
+
+// Resolved tolerances, per options object and key, so routes sharing an
+// override share one function
+const resolvedTolerances = new WeakMap();
+
+/**
+ * Creates a marker middleware carrying typo tolerance options for a route
+ *
+ * @example
+ * app.post("/admin/delete-all", typoTolerant({ disabled: true }), handler);
+ *
+ * @param {Object} options Route options
+ * @param {boolean} options.disabled Whether the route must never be fuzzy-matched (default: false)
+ * @param {number|Object|Function} options.tolerance Tolerance of this route, as for the middleware (default: the middleware tolerance)
+ * @param {number} options.priority Priority of this route when matches are ambiguous; higher wins (default: 0)
+ * @param {Object} options.params Validators by parameter name: "int", "number", "uuid", a RegExp or `(value) => boolean` (default: none)
+ * @param {Array|Object} options.query Query keys this route expects, or a JSON Schema of its query whose `properties` are the keys (default: none, keys aren't corrected)
+ * @returns {Function} Middleware that only passes control on
+ */
+function typoTolerant(options = {}) {
+  function typoTolerantMarker(req, res, next) {
+    next();
+  }
+  typoTolerantMarker[ROUTE_OPTIONS] = options;
+
+  return typoTolerantMarker;
+}
+
+/**
+ * Collects the marker options of an Express route
+ *
+ * @param {Object} route Express route (`layer.route`)
+ * @returns {Object} Merged options of every marker on the route
+ */
+function getMarkerOptions(route) {
+  const markers = route.stack
+    .map((layer) => layer.handle[ROUTE_OPTIONS])
+    .filter(Boolean);
+
+  // A single marker keeps its options object, so its resolved tolerance is shared
+  return markers.length === 1 ? markers[0] : Object.assign({}, ...markers);
+}
+
+/**
+ * Resolves the tolerance of a route, if it differs from the middleware's
+ *
+ * Markers take precedence over `exclude`, then `include`, then the first
+ * matching `routeTolerance` pattern.
+ *
+ * @param {Object} route Route object (see express-routes.js)
+ * @param {Object} config Configuration options
+ * @param {Array} config.include Route path globs or RegExps; other routes are never fuzzy-matched (default: every route)
+ * @param {Array} config.exclude Route path globs or RegExps that are never fuzzy-matched (default: none)
+ * @param {Object} config.routeTolerance Tolerances by route path glob (default: none)
+ * @returns {Function|null} Tolerance as a function of length, or null for the middleware tolerance
+ */
+function resolveRouteTolerance(route, config) {
+  const marker = route.options || {};
+
+  if (marker.disabled) {
+    return NO_TOLERANCE;
+  }
+  if (marker.tolerance !== undefined) {
+    return resolveCached(marker, "tolerance");
+  }
+
+  if (config.exclude && matchesAny(config.exclude, route.path)) {
+    return NO_TOLERANCE;
+  }
+  if (config.include && !matchesAny(config.include, route.path)) {
+    return NO_TOLERANCE;
+  }
+
+  const overrides = config.routeTolerance || {};
+  const glob = Object.keys(overrides).find((pattern) =>
+    matchesAny([pattern], route.path)
+  );
+  return glob === undefined ? null : resolveCached(overrides, glob);
+}
+
+/**
+ * Resolves the priority of a route, used to settle ambiguous matches
+ *
+ * A marker priority takes precedence over the first matching
+ * `routePriority` pattern.
+ *
+ * @param {Object} route Route object (see express-routes.js)
+ * @param {Object} config Configuration options
+ * @param {Object} config.routePriority Priorities by route path glob (default: none)
+ * @returns {number} Priority of the route; higher wins (default: 0)
+ */
+function resolveRoutePriority(route, config) {
+  const marker = route.options || {};
+  if (marker.priority !== undefined) {
+    return marker.priority;
+  }
+
+  const priorities = config.routePriority || {};
+  const glob = Object.keys(priorities).find((pattern) =>
+    matchesAny([pattern], route.path)
+  );
+  return glob === undefined ? 0 : priorities[glob];
+}
+
+/**
+ * Resolves the query keys a route expects
+ *
+ * A marker `query` takes precedence over the first matching `queryKeys`
+ * pattern.
+ *
+ * @param {Object} route Route object (see express-routes.js)
+ * @param {Object} config Configuration options
+ * @param {Object} config.queryKeys Query keys or JSON Schemas by route path glob (default: none)
+ * @returns {Array|null} Expected query keys, or null if the route declares none
+ */
+function resolveRouteQueryKeys(route, config) {
+  const marker = route.options || {};
+  if (marker.query !== undefined) {
+    return toQueryKeys(marker.query);
+  }
+
+  const declarations = config.queryKeys || {};
+  const glob = Object.keys(declarations).find((pattern) =>
+    matchesAny([pattern], route.path)
+  );
+  return glob === undefined ? null : toQueryKeys(declarations[glob]);
+}
+
+/**
+ * Resolves the parameter validators of a route
+ *
+ * Marker `params` take precedence over the first matching `paramValidators`
+ * pattern.
+ *
+ * @param {Object} route Route object (see express-routes.js)
+ * @param {Object} config Configuration options
+ * @param {Object} config.paramValidators Validators by parameter name, by route path glob (default: none)
+ * @returns {Object|null} Validator functions by parameter name, or null if the route declares none
+ */
+function resolveRouteParamValidators(route, config) {
+  const marker = route.options || {};
+  const declarations = config.paramValidators || {};
+  const glob = Object.keys(declarations).find((pattern) =>
+    matchesAny([pattern], route.path)
+  );
+  const validators =
+    marker.params || (glob === undefined ? null : declarations[glob]);
+
+  if (!validators) {
+    return null;
+  }
+  return Object.keys(validators).reduce((resolved, name) => {
+    resolved[name] = createParamValidator(validators[name]);
+    return resolved;
+  }, {});
+}
+
+// Query keys are listed, or inferred from the properties of a JSON Schema
+function toQueryKeys(declaration) {
+  return Array.isArray(declaration)
+    ? declaration
+    : Object.keys(declaration.properties || {});
+}
+
+function resolveCached(owner, key) {
+  if (!resolvedTolerances.has(owner)) {
+    resolvedTolerances.set(owner, new Map());
+  }
+
+  const cache = resolvedTolerances.get(owner);
+  if (!cache.has(key)) {
+    cache.set(key, resolveTolerance(owner[key]));
+  }
+  return cache.get(key);
+}
+
+// Whether a route path matches one of a list of globs or RegExps
+function matchesAny(patterns, path) {
+  return []
+    .concat(patterns)
+    .some((pattern) =>
+      pattern instanceof RegExp
+        ? pattern.test(path)
+        : globToRegExp(pattern).test(path)
+    );
+}
+
+// `**` matches across segments, `*` within one; everything else is literal
+function globToRegExp(glob) {
+  const source = glob
+    .split("**")
+    .map((part) =>
+      part
+        .split("*")
+        .map((text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^/]*")
+    )
+    .join(".*");
+
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  getMarkerOptions,
+  resolveRouteParamValidators,
+  resolveRoutePriority,
+  resolveRouteQueryKeys,
+  resolveRouteTolerance,
+  typoTolerant,
+};
@@ -0,0 +1,378 @@
+/**
+ * Route path parser for the typo-tolerant routers
+ *
+ * Parses Express route paths into structured segments that the route index
+ * can match segment by segment. Both the Express 4 syntax (`/users/:id`,
+ * `/files/:name?`, `/users/:id(\\d+)`, `/assets/*`) and the Express 5 /
+ * path-to-regexp v8 syntax (`{/:optional}`, `*splat`, `:"quoted"`) are
+ * understood. Optional parts are expanded into one variant per combination,
+ * so each variant is a plain list of segments.
+ */
+
+// Optional groups double the variants, so stop expanding past this many
+const MAX_VARIANTS = 64;
+
+const NAME_PATTERN = /[$_\p{ID_Start}][$\u200c\u200d\p{ID_Continue}]*/uy;
+
+/**
+ * Parses a route path into its variants
+ *
+ * Each variant is an array of segments shaped like:
+ * - `{ type: "static", value }` for literal segments
+ * - `{ type: "param", name, constraint }` for `:name`, where `constraint` is
+ *   the RegExp of `:name(regex)` or null
+ * - `{ type: "wildcard", name, optional }` for `*name` (or Express 4's `*`
+ *   and `:name*`), which absorbs one or more segments (zero or more if
+ *   optional)
+ * - `{ type: "pattern", regexp, names }` for segments mixing text with
+ *   parameters or regular expression syntax, such as `:file.:ext` or
+ *   `colou?r`, which only match exactly
+ *
+ * @param {string} path Route path
+ * @returns {Array} Array of variants, each an array of segments
+ */
+function parseRoutePath(path) {
+  const tokens = tokenize(path);
+  return expandGroups(tokens).map(toSegments);
+}
+
+/**
+ * Whether a list of segments only contains literal segments
+ *
+ * @param {Array} segments Route segments
+ * @returns {boolean} True if no segment captures anything
+ */
+function isStaticSegments(segments) {
+  return segments.every((segment) => segment.type === "static");
+}
+
+/**
+ * Formats static segments back into a path
+ *
+ * @param {Array} segments Static route segments
+ * @returns {string} URL path
+ */
+function formatStaticSegments(segments) {
+  return "/" + segments.map((segment) => segment.value).join("/");
+}
+
+/**
+ * Fills the parameters of a route path to build a URL
+ *
+ * The longest variant whose parameters are all given is used, so optional
+ * parts are only left out when their parameters are missing.
+ *
+ * @param {string} path Route path, e.g. `/clients/:id`
+ * @param {Object} params Parameter values by name
+ * @returns {string|null} URL path, or null if required parameters are missing
+ */
+function formatRoutePath(path, params) {
+  const variants = parseRoutePath(path).sort((a, b) => b.length - a.length);
+
+  for (const segments of variants) {
+    const values = segments.map((segment) => {
+      if (segment.type === "static") {
+        return segment.value;
+      }
+      if (segment.type === "pattern") {
+        return null;
+      }
+
+      const value = params[segment.name];
+      if (value === undefined || value === "") {
+        return segment.type === "wildcard" && segment.optional ? "" : null;
+      }
+      return String(value);
+    });
+
+    if (!values.includes(null)) {
+      return "/" + values.filter(Boolean).join("/");
+    }
+  }
+
+  return null;
+}
+
+// Splits a path into text, param, wildcard, regex and group tokens
+function tokenize(path) {
+  const tokens = [];
+  let text = "";
+  let unnamedWildcards = 0;
+  let i = 0;
+
+  const flush = () => {
+    if (text) {
+      tokens.push({ type: "text", value: text });
+      text = "";
+    }
+  };
+
+  while (i < path.length) {
+    const char = path[i];
+
+    if (char === "\\") {
+      text += path[i + 1] || "";
+      i += 2;
+    } else if (char === "{" || char === "}") {
+      flush();
+      tokens.push({ type: char === "{" ? "open" : "close" });
+      i++;
+    } else if (char === ":") {
+      const [name, length] = readName(path, i + 1);
+
+      if (name === null) {
+        text += char;
+        i++;
+        continue;
+      }
+
+      i += 1 + length;
+      const param = { type: "param", name, constraint: null };
+
+      // Express 4 modifiers: `:name(regex)`, `:name*` and `:name?`
+      if (path[i] === "(") {
+        const group = readGroup(path, i);
+        param.constraint = group.slice(1, -1);
+        i += group.length;
+      }
+      if (path[i] === "*" && readName(path, i + 1)[0] === null) {
+        param.type = "wildcard";
+        param.optional = false;
+        i++;
+      }
+      if (path[i] === "?") {
+        // The dot of `:file.:ext?` is optional along with the parameter
+        const dot = text.endsWith(".") ? "." : "";
+        text = text.slice(0, text.length - dot.length);
+        flush();
+        tokens.push({ type: "open" });
+        if (dot) {
+          tokens.push({ type: "text", value: dot });
+        }
+        tokens.push(param, { type: "close" });
+        i++;
+        continue;
+      }
+
+      flush();
+      tokens.push(param);
+    } else if (char === "*") {
+      const [name, length] = readName(path, i + 1);
+
+      // Express 4's unnamed `*` matches anything, including nothing
+      flush();
+      tokens.push({
+        type: "wildcard",
+        name: name === null ? unnamedWildcards++ : name,
+        optional: name === null,
+      });
+      i += 1 + length;
+    } else if ("()[]?+|".includes(char)) {
+      // Express 4 passes anything else through as a regular expression
+      const value = char === "(" || char === "[" ? readGroup(path, i) : char;
+      flush();
+      tokens.push({ type: "regex", value });
+      i += value.length;
+    } else {
+      text += char;
+      i++;
+    }
+  }
+
+  flush();
+  return tokens;
+}
+
+// Reads a balanced `(...)` group or `[...]` class starting at an index
+function readGroup(path, start) {
+  const close = path[start] === "[" ? "]" : ")";
+  let depth = 0;
+
+  for (let i = start; i < path.length; i++) {
+    if (path[i] === "\\") {
+      i++;
+    } else if (path[i] === path[start]) {
+      depth++;
+    } else if (path[i] === close && --depth === 0) {
+      return path.substring(start, i + 1);
+    }
+  }
+
+  return path.substring(start);
+}
+
+// Reads a parameter name (identifier or quoted) starting at an index
+function readName(path, start) {
+  if (path[start] === '"') {
+    const end = path.indexOf('"', start + 1);
+    if (end !== -1) {
+      return [path.substring(start + 1, end), end - start + 1];
+    }
+  }
+
+  NAME_PATTERN.lastIndex = start;
+  const match = NAME_PATTERN.exec(path);
+  return match ? [match[0], match[0].length] : [null, 0];
+}
+
+// Expands `{...}` groups into every combination of present and absent
+function expandGroups(tokens) {
+  let position = 0;
+
+  function expandSequence() {
+    let variants = [[]];
+
+    while (position < tokens.length) {
+      const token = tokens[position++];
+
+      if (token.type === "close") {
+        break;
+      }
+
+      if (token.type === "open") {
+        const groupVariants = expandSequence();
+        const next = [];
+        for (const variant of variants) {
+          next.push(variant);
+          for (const groupVariant of groupVariants) {
+            if (next.length < MAX_VARIANTS) {
+              next.push(variant.concat(groupVariant));
+            }
+          }
+        }
+        variants = next;
+      } else {
+        variants = variants.map((variant) => variant.concat(token));
+      }
+    }
+
+    return variants;
+  }
+
+  return expandSequence();
+}
+
+// Splits a flat token list on "/" and classifies each segment
+function toSegments(tokens) {
+  const segments = [];
+  let current = [];
+
+  const pushSegment = () => {
+    if (current.length > 0) {
+      segments.push(classifySegment(current));
+      current = [];
+    }
+  };
+
+  for (const token of tokens) {
+    if (token.type !== "text") {
+      current.push(token);
+      continue;
+    }
+
+    token.value.split("/").forEach((part, i) => {
+      if (i > 0) {
+        pushSegment();
+      }
+      if (part) {
+        current.push({ type: "text", value: part });
+      }
+    });
+  }
+
+  pushSegment();
+  return segments;
+}
+
+function classifySegment(tokens) {
+  if (tokens.every((token) => token.type === "text")) {
+    return {
+      type: "static",
+      value: tokens.map((token) => token.value).join(""),
+    };
+  }
+
+  if (tokens.length === 1 && tokens[0].type === "param") {
+    return {
+      type: "param",
+      name: tokens[0].name,
+      constraint:
+        tokens[0].constraint === null
+          ? null
+          : new RegExp(`^(?:${tokens[0].constraint})$`, "i"),
+    };
+  }
+
+  if (tokens.length === 1 && tokens[0].type === "wildcard") {
+    return {
+      type: "wildcard",
+      name: tokens[0].name,
+      optional: tokens[0].optional,
+    };
+  }
+
+  // Text mixed with parameters or regular expression syntax
+  const names = [];
+  const source = tokens
+    .map((token) => {
+      if (token.type === "text") {
+        return escapeRegExp(token.value);
+      }
+      if (token.type === "regex") {
+        return toNonCapturing(token.value);
+      }
+      names.push(token.name);
+      if (token.type === "wildcard") {
+        return "([^/]*?)";
+      }
+      return token.constraint === null
+        ? "([^/]+?)"
+        : `((?:${toNonCapturing(token.constraint)}))`;
+    })
+    .join("");
+
+  return {
+    type: "pattern",
+    regexp: new RegExp(`^${source}$`, "i"),
+    names,
+  };
+}
+
+// Turns capturing groups into non-capturing ones so `names` stay aligned
+function toNonCapturing(source) {
+  let result = "";
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === "\\") {
+      result += char + (source[i + 1] || "");
+      i++;
+      continue;
+    }
+
+    if (char === "[") {
+      inClass = true;
+    } else if (char === "]") {
+      inClass = false;
+    } else if (char === "(" && !inClass && source[i + 1] !== "?") {
+      result += "(?:";
+      continue;
+    }
+    result += char;
+  }
+
+  return result;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+  formatRoutePath,
+  formatStaticSegments,
+  isStaticSegments,
+  parseRoutePath,
+};
@@ -0,0 +1,435 @@
+/**
+ * Segment trie for fuzzy matching of routes segment by segment
+ *
+ * Routes are stored segment by segment. Static segments are fuzzy-matched
+ * edges, while parameters, wildcards and mixed patterns (see route-path.js)
+ * are dynamic edges. A lookup aligns the request segments with the trie,
+ * allowing inserted, dropped and swapped segments, within a bounded
+ * edit-distance budget: static edges are found through per-node BK-trees,
+ * and whole subtrees are skipped as soon as the accumulated distance
+ * exceeds the tolerance.
+ */
+
+const createBKTree = require("./bk-tree");
+
+// Costs of segment edits, unless a search sets its own
+const DEFAULT_SEGMENT_COSTS = {
+  insert: 1,
+  delete: 1,
+  transpose: 1,
+  substitute: Infinity,
+};
+
+/**
+ * Creates an empty segment trie
+ *
+ * @param {Object} options Trie options
+ * @param {Function} options.distance Distance between two segments
+ * @param {boolean} options.isMetric Whether `distance` satisfies the triangle inequality
+ * @param {Function} options.normalize Normalizes a segment before comparison
+ * @returns {Object} Trie with `insert(segments, entry)` and `search(segments, limits)` methods
+ */
+function createSegmentTrie({ distance, isMetric, normalize }) {
+  const root = createNode();
+
+  function createNode() {
+    return {
+      entries: [],
+      staticChildren: new Map(),
+      dynamicChildren: new Map(),
+      childTree: null,
+      grandchildTree: null,
+      // Fewest and most route segments below this node
+      minDepth: Infinity,
+      maxDepth: 0,
+    };
+  }
+
+  function getDynamicKey(segment) {
+    if (segment.type === "param") {
+      return segment.constraint
+        ? `:${segment.name}(${segment.constraint.source})`
+        : `:${segment.name}`;
+    }
+    if (segment.type === "wildcard") {
+      return `*${segment.name}${segment.optional ? "?" : ""}`;
+    }
+    return `~${segment.regexp.source}`;
+  }
+
+  /**
+   * Adds a route under its path segments
+   *
+   * @param {Array} segments Parsed route segments (see route-path.js)
+   * @param {Object} entry Value returned by `search()` for this route
+   */
+  function insert(segments, entry) {
+    let parent = null;
+    let node = root;
+    const depths = getRemainingDepths(segments);
+
+    segments.forEach((segment, i) => {
+      node.minDepth = Math.min(node.minDepth, depths[i].min);
+      node.maxDepth = Math.max(node.maxDepth, depths[i].max);
+
+      if (segment.type === "static") {
+        const key = normalize(segment.value);
+        if (!node.staticChildren.has(key)) {
+          node.staticChildren.set(key, createNode());
+          node.childTree = null;
+          if (parent) {
+            parent.grandchildTree = null;
+          }
+        }
+        parent = node;
+        node = node.staticChildren.get(key);
+      } else {
+        const key = getDynamicKey(segment);
+        if (!node.dynamicChildren.has(key)) {
+          node.dynamicChildren.set(key, { segment, node: createNode() });
+        }
+        parent = node;
+        node = node.dynamicChildren.get(key).node;
+      }
+    });
+
+    node.minDepth = 0;
+    node.entries.push(entry);
+  }
+
+  // Fewest and most request segments each suffix of a route can stand for
+  function getRemainingDepths(segments) {
+    const depths = [];
+    let min = 0;
+    let max = 0;
+
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const wildcard = segments[i].type === "wildcard";
+      min += wildcard && segments[i].optional ? 0 : 1;
+      max = wildcard ? Infinity : max + 1;
+      depths[i] = { min, max };
+    }
+    return depths;
+  }
+
+  // Static edges are indexed lazily, once the trie is fully built
+  function getChildTree(node) {
+    if (!node.childTree) {
+      node.childTree = createBKTree(distance, { isMetric });
+      for (const [key, child] of node.staticChildren) {
+        node.childTree.add(key, child);
+      }
+    }
+    return node.childTree;
+  }
+
+  // Static edges two levels down, for requests that dropped a segment
+  function getGrandchildTree(node) {
+    if (!node.grandchildTree) {
+      node.grandchildTree = createBKTree(distance, { isMetric });
+      for (const child of node.staticChildren.values()) {
+        for (const [key, grandchild] of child.staticChildren) {
+          node.grandchildTree.add(key, grandchild);
+        }
+      }
+    }
+    return node.grandchildTree;
+  }
+
+  /**
+   * Finds every route within the tolerance of the request segments
+   *
+   * The request and route segments are aligned with an edit distance over
+   * segments. Aligned static segments cost their distance, dynamic segments
+   * are free when they match (and never match otherwise), and segments
+   * inserted into the request, dropped from it, swapped with their neighbour
+   * or substituted by an unrelated one cost `segmentCosts`. A dropped route
+   * segment must be static, and followed by a static one or the end of the
+   * route, since an empty parameter would change the route; at least one
+   * segment must be aligned. Parameters take the request segment they are
+   * aligned with.
+   *
+   * @param {Array} segments Request path segments
+   * @param {Object} limits Search limits
+   * @param {number} limits.tolerance Maximum total distance
+   * @param {Function} limits.segmentTolerance Maximum distance of a segment, given its length
+   * @param {number} limits.segmentCountTolerance Maximum number of inserted or dropped segments
+   * @param {Object} limits.segmentCosts Costs of segment edits: `{ insert, delete, transpose, substitute }` (default: 1, 1, 1 and Infinity)
+   * @returns {Array} Array of `{ entry, distance, params, captures }` candidates,
+   *   where `captures` holds the request text matched by each route segment
+   */
+  function search(segments, limits) {
+    const { tolerance, segmentTolerance, segmentCountTolerance } = limits;
+    const costs = { ...DEFAULT_SEGMENT_COSTS, ...limits.segmentCosts };
+    const normalizedSegments = segments.map(normalize);
+    const segmentLimits = segments.map((segment) =>
+      segmentTolerance(segment.length)
+    );
+    const results = [];
+
+    // `position` counts consumed request segments, `gaps` counts inserted
+    // and dropped segments
+    function visit(node, position, cost, gaps, params, captures) {
+      if (cost + getGapCost(node, position) > tolerance) {
+        return;
+      }
+
+      const extraSegments = segments.length - position;
+      const total =
+        extraSegments === 0 ? cost : cost + extraSegments * costs.insert;
+      if (
+        node.entries.length > 0 &&
+        total <= tolerance &&
+        gaps + extraSegments <= segmentCountTolerance &&
+        sharesSegments(captures)
+      ) {
+        const found = {
+          distance: total,
+          params: resolveSpans(params),
+          captures: captures.map(resolveSpan),
+        };
+        for (const entry of node.entries) {
+          results.push({ entry, ...found });
+        }
+      }
+
+      if (position < segments.length) {
+        visitNext(node, position, cost, gaps, params, captures);
+        return;
+      }
+
+      // The request ran out of segments; optional wildcards match nothing
+      // and static route segments are dropped, but parameters can't be empty
+      for (const { segment, node: child } of node.dynamicChildren.values()) {
+        if (segment.type === "wildcard" && segment.optional) {
+          visit(child, position, cost, gaps, params, captures.concat(""));
+        }
+      }
+      if (canAddGap(cost, gaps, costs.delete)) {
+        for (const child of node.staticChildren.values()) {
+          visit(
+            child,
+            position,
+            cost + costs.delete,
+            gaps + 1,
+            params,
+            captures.concat("")
+          );
+        }
+      }
+    }
+
+    // Tries every way of aligning the next request segment
+    function visitNext(node, position, cost, gaps, params, captures) {
+      const segment = segments[position];
+
+      // Align it with a route segment
+      for (const match of matchSegment(node, position, tolerance - cost)) {
+        visit(
+          match.node,
+          position + 1,
+          cost + match.distance,
+          gaps,
+          { ...params, ...match.params },
+          captures.concat(segment)
+        );
+      }
+      visitWildcards(node, position, cost, gaps, params, captures);
+
+      // Substitute it for a static route segment it is too far from
+      if (cost + costs.substitute <= tolerance) {
+        for (const child of node.staticChildren.values()) {
+          visit(
+            child,
+            position + 1,
+            cost + costs.substitute,
+            gaps,
+            params,
+            captures.concat(segment)
+          );
+        }
+      }
+
+      // Skip it, as inserted into the request
+      if (canAddGap(cost, gaps, costs.insert)) {
+        visit(
+          node,
+          position + 1,
+          cost + costs.insert,
+          gaps + 1,
+          params,
+          captures
+        );
+      }
+
+      // Align it with the route segment after a dropped static one
+      if (canAddGap(cost, gaps, costs.delete)) {
+        const budget = tolerance - cost - costs.delete;
+        const matches = getGrandchildTree(node).search(
+          normalizedSegments[position],
+          Math.min(segmentLimits[position], budget)
+        );
+        for (const match of matches) {
+          for (const grandchild of match.values) {
+            visit(
+              grandchild,
+              position + 1,
+              cost + costs.delete + match.distance,
+              gaps + 1,
+              params,
+              captures.concat("", segment)
+            );
+          }
+        }
+      }
+
+      // Align it and the next one with two route segments in swapped order
+      if (
+        position + 1 < segments.length &&
+        cost + costs.transpose <= tolerance &&
+        normalizedSegments[position] !== normalizedSegments[position + 1]
+      ) {
+        const budget = tolerance - cost - costs.transpose;
+        for (const first of matchSegment(node, position + 1, budget)) {
+          const seconds = matchSegment(
+            first.node,
+            position,
+            budget - first.distance
+          );
+          for (const second of seconds) {
+            visit(
+              second.node,
+              position + 2,
+              cost + costs.transpose + first.distance + second.distance,
+              gaps,
+              { ...params, ...first.params, ...second.params },
+              captures.concat(segments[position + 1], segment)
+            );
+          }
+        }
+      }
+    }
+
+    // Lowest cost of the segments that must be inserted or dropped to reach
+    // any route below a node
+    function getGapCost(node, position) {
+      const left = segments.length - position;
+      if (left > node.maxDepth) {
+        return (left - node.maxDepth) * costs.insert;
+      }
+      if (left < node.minDepth) {
+        return (node.minDepth - left) * costs.delete;
+      }
+      return 0;
+    }
+
+    // Routes must align with at least one request segment, rather than only
+    // replace them with inserts and drops
+    function sharesSegments(captures) {
+      return segments.length === 0 || captures.some(Boolean);
+    }
+
+    function canAddGap(cost, gaps, gapCost) {
+      return cost + gapCost <= tolerance && gaps + 1 <= segmentCountTolerance;
+    }
+
+    // Child edges a single request segment can stand for, with their
+    // distance and the parameters they capture
+    function matchSegment(node, position, budget) {
+      if (budget < 0) {
+        return [];
+      }
+
+      const value = segments[position];
+      const matches = getChildTree(node)
+        .search(
+          normalizedSegments[position],
+          Math.min(segmentLimits[position], budget)
+        )
+        .map((match) => ({
+          node: match.values[0],
+          distance: match.distance,
+          params: null,
+        }));
+
+      for (const { segment, node: child } of node.dynamicChildren.values()) {
+        if (segment.type === "param") {
+          // Constrained parameters like `:id(\\d+)` only take matching values
+          if (!segment.constraint || segment.constraint.test(value)) {
+            matches.push({
+              node: child,
+              distance: 0,
+              params: { [segment.name]: value },
+            });
+          }
+        } else if (segment.type === "pattern") {
+          const match = segment.regexp.exec(value);
+          if (match) {
+            const captured = {};
+            segment.names.forEach((name, i) => {
+              captured[name] = match[i + 1];
+            });
+            matches.push({ node: child, distance: 0, params: captured });
+          }
+        }
+      }
+
+      return matches;
+    }
+
+    // Wildcards absorb one or more of the remaining segments. They can only
+    // end where the rest of the route is within reach, so a wildcard ending
+    // the route absorbs every segment left, and what they absorb is only
+    // joined for the routes found
+    function visitWildcards(node, position, cost, gaps, params, captures) {
+      for (const { segment, node: child } of node.dynamicChildren.values()) {
+        if (segment.type !== "wildcard") {
+          continue;
+        }
+
+        const min = segment.optional ? 0 : 1;
+        const isLeaf =
+          child.staticChildren.size === 0 && child.dynamicChildren.size === 0;
+        const inserts = Math.floor((tolerance - cost) / costs.insert);
+        const first = Math.max(
+          position + min,
+          isLeaf ? segments.length : segments.length - child.maxDepth - inserts
+        );
+
+        for (let end = first; end <= segments.length; end++) {
+          const absorbed = end === position ? "" : { start: position, end };
+          visit(
+            child,
+            end,
+            cost,
+            gaps,
+            { ...params, [segment.name]: absorbed },
+            captures.concat(absorbed)
+          );
+        }
+      }
+    }
+
+    // Request text of the segments a wildcard absorbed
+    function resolveSpan(value) {
+      return value && typeof value === "object"
+        ? segments.slice(value.start, value.end).join("/")
+        : value;
+    }
+
+    function resolveSpans(params) {
+      const resolved = {};
+      for (const name of Object.keys(params)) {
+        resolved[name] = resolveSpan(params[name]);
+      }
+      return resolved;
+    }
+
+    visit(root, 0, 0, 0, {}, []);
+    return results;
+  }
+
+  return { insert, search };
+}
+
+module.exports = createSegmentTrie;
@@ -0,0 +1,428 @@
+/**
+ * Typo tolerance for files served by express.static
+ *
+ * Files aren't routes, so the routers never see them. This middleware
+ * indexes the files under a static root in a segment trie (see
+ * segment-trie.js) and, installed after `express.static()`, corrects
+ * misspelled file paths segment by segment with the same metric, tolerance
+ * and normalisation as routes. Only indexed files are ever served, and only
+ * files inside the root are indexed, so requests can't escape it. The index
+ * is built in the background, so requests never wait for the root to be
+ * walked.
+ */
+
+const fs = require("fs");
+const nodePath = require("path");
+const {
+  createCorrectionEvent,
+  markCorrected,
+  mixinEventEmitter,
+  reportCorrection,
+} = require("./correction-events");
+const { resolveMetric } = require("./metrics");
+const { createNormalizer } = require("./normalization");
+const { getRedirectStatus, validateRedirectStatus } = require("./redirects");
+const { splitPath } = require("./route-index");
+const createSegmentTrie = require("./segment-trie");
+const { createToleranceBudget } = require("./tolerance");
+
+// Milliseconds between rebuilds of the file index, unless set otherwise
+const DEFAULT_REFRESH_INTERVAL = 60000;
+
+/**
+ * Creates a middleware that corrects typos in the paths of static files
+ *
+ * Mount it at the same path as `express.static()`, after it, so it only
+ * sees requests no file matched exactly:
+ * `app.use("/assets", createTypoTolerantStatic("public"))`.
+ *
+ * @param {string} root Static root directory, as given to `express.static()`
+ * @param {Object} options Configuration options
+ * @param {number|Object|Function} options.tolerance Maximum distance to consider a match, as for the routers (default: 2, or 0.1 for "jaro-winkler")
+ * @param {number|Object|Function} options.segmentTolerance Maximum distance of a single path segment (default: same as tolerance)
+ * @param {number} options.segmentCountTolerance Maximum number of missing or extra segments (default: no limit besides tolerance)
+ * @param {Object} options.segmentCosts Costs of segment edits, as for the advanced router
+ * @param {string|Function} options.metric Distance metric, as for the routers (default: "levenshtein")
+ * @param {boolean} options.caseSensitive Whether to perform case-sensitive matching (default: false)
+ * @param {Object} options.normalization Normalisation steps, as for the routers
+ * @param {string} options.mode How to handle a near-miss: "serve" the file or "redirect" to it (default: "serve")
+ * @param {number} options.redirectStatus Status of redirects: 301, 302, 307 or 308 (default: 301)
+ * @param {string|boolean} options.index File served for a directory, or false for none (default: "index.html")
+ * @param {string} options.dotfiles Whether files and directories starting with "." are indexed: "allow" or "ignore" (default: "ignore")
+ * @param {number} options.refreshInterval Milliseconds after which a request starts rebuilding the index, or 0 to never rebuild (default: 60000)
+ * @param {boolean} options.watch Whether to rebuild the index when the root changes, falling back to `refreshInterval` where recursive watching is unsupported, like Linux before Node 19.1 (default: false)
+ * @param {boolean} options.logCorrections Whether to log corrections to console (default: false)
+ * @param {Object} options.logger Pino or winston compatible logger that corrections are logged to with `info()` and watch and indexing failures with `warn()`, instead of the console
+ * @param {Function} options.onCorrection Called with `(event, req)` for every correction (see correction-events.js)
+ * @param {boolean} options.dryRun Whether to only report corrections, without serving or redirecting (default: false)
+ * @returns {Function} Express middleware function, with `refresh()` and `close()` methods and EventEmitter methods emitting "correction" events
+ */
+function createTypoTolerantStatic(root, options = {}) {
+  const metric = resolveMetric(options.metric);
+
+  // Default options
+  const config = {
+    tolerance: metric.defaultTolerance,
+    caseSensitive: false,
+    normalization: {},
+    mode: "serve",
+    redirectStatus: 301,
+    index: "index.html",
+    dotfiles: "ignore",
+    refreshInterval: DEFAULT_REFRESH_INTERVAL,
+    watch: false,
+    logCorrections: false,
+    dryRun: false,
+    ...options,
+    metric,
+  };
+  validateRedirectStatus(config.redirectStatus);
+
+  // Tolerances may depend on the compared length, so resolve them up front
+  config.budget = createToleranceBudget(config);
+  config.normalizer = createNormalizer(config);
+
+  const rootPath = nodePath.resolve(root);
+  // Requests are served from the last index built until a rebuild is done;
+  // `version` counts changes, so changes during a rebuild aren't missed
+  let fileIndex = null;
+  let rebuilding = null;
+  let version = 0;
+  let watcher = null;
+  let refreshInterval = config.refreshInterval;
+
+  // Returns the last file index, rebuilding it in the background when stale
+  function getFileIndex() {
+    const stale =
+      fileIndex.version !== version ||
+      (refreshInterval > 0 && Date.now() - fileIndex.builtAt > refreshInterval);
+
+    if (stale) {
+      rebuildInBackground();
+    }
+    return fileIndex;
+  }
+
+  function rebuild() {
+    if (!rebuilding) {
+      const builtVersion = version;
+      rebuilding = buildFileIndex(rootPath, config).then(
+        (index) => {
+          fileIndex = { ...index, version: builtVersion };
+          rebuilding = null;
+          return fileIndex;
+        },
+        (error) => {
+          // A failed build is tried again by the next request
+          rebuilding = null;
+          throw error;
+        }
+      );
+    }
+    return rebuilding;
+  }
+
+  // Nothing waits for background rebuilds, so their failures are logged
+  function rebuildInBackground() {
+    rebuild().catch((error) =>
+      warn(`Could not index the files under ${rootPath}`, error)
+    );
+  }
+
+  // Any change under the root starts a rebuild
+  function watchRoot() {
+    if (!canWatchRecursively()) {
+      fallBackToInterval(
+        new Error("Recursive watching needs Node 19.1 or later on Linux")
+      );
+      return;
+    }
+
+    try {
+      watcher = fs.watch(rootPath, { recursive: true, persistent: false });
+    } catch (error) {
+      fallBackToInterval(error);
+      return;
+    }
+    watcher.on("change", () => {
+      version++;
+      rebuildInBackground();
+    });
+    watcher.on("error", (error) => {
+      close();
+      fallBackToInterval(error);
+    });
+  }
+
+  // Without watching, changes are picked up by the refresh interval
+  function fallBackToInterval(error) {
+    refreshInterval = config.refreshInterval || DEFAULT_REFRESH_INTERVAL;
+
+    warn(
+      `Could not watch ${rootPath}, rebuilding its file index every ${refreshInterval} ms instead`,
+      error
+    );
+  }
+
+  function warn(message, error) {
+    if (config.logger) {
+      // `msg` is pino's message key, `message` is winston's
+      config.logger.warn({ err: error, msg: message, message });
+    } else {
+      console.warn(`${message}:`, error);
+    }
+  }
+
+  function typoTolerantStatic(req, res, next) {
+    // Static files are only read
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      return next();
+    }
+
+    // Only requests arriving before the first index is built wait for it
+    if (!fileIndex) {
+      return rebuild()
+        .then(() => typoTolerantStatic(req, res, next))
+        .catch(next);
+    }
+
+    const match = findFile(req, getFileIndex(), config);
+    if (!match) {
+      return next();
+    }
+
+    // Redirecting to the URL the request already has would loop
+    const redirect = config.mode === "redirect";
+    if (redirect && match.matchedUrl === req.path) {
+      return next();
+    }
+
+    const event = createCorrectionEvent(
+      req,
+      match,
+      redirect ? "redirect" : "rewrite",
+      config
+    );
+    reportCorrection(typoTolerantStatic, config, event, req);
+
+    // A dry run only reports what would have been corrected
+    if (config.dryRun) {
+      return next();
+    }
+
+    if (redirect) {
+      const queryStart = req.url.indexOf("?");
+      return res.redirect(
+        getRedirectStatus(config.redirectStatus, "get"),
+        req.baseUrl +
+          match.matchedUrl +
+          (queryStart === -1 ? "" : req.url.substring(queryStart))
+      );
+    }
+
+    markCorrected(req, res, event);
+
+    // Files that disappeared since indexing are left to the next middleware
+    res.sendFile(match.file, { dotfiles: "allow" }, (error) => {
+      if (error) {
+        next(error.status === 404 ? undefined : error);
+      }
+    });
+  }
+
+  /**
+   * Rebuilds the file index, serving from the current one meanwhile
+   *
+   * @returns {Promise} Resolves with the new index once it is built
+   */
+  function refresh() {
+    version++;
+    // A rebuild in progress may have missed changes, so one more follows it
+    return (rebuilding || Promise.resolve()).then(rebuild);
+  }
+
+  /**
+   * Stops watching the static root
+   */
+  function close() {
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+  }
+
+  typoTolerantStatic.refresh = refresh;
+  typoTolerantStatic.close = close;
+
+  mixinEventEmitter(typoTolerantStatic);
+
+  // Indexing starts right away, so requests rarely wait for it
+  rebuildInBackground();
+  if (config.watch) {
+    watchRoot();
+  }
+
+  return typoTolerantStatic;
+}
+
+// Linux only watches recursively from Node 19.1; older versions throw, or
+// before Node 14 silently watch the root directory alone
+function canWatchRecursively() {
+  if (process.platform !== "linux") {
+    return true;
+  }
+  const [major, minor] = process.versions.node.split(".").map(Number);
+  return major > 19 || (major === 19 && minor >= 1);
+}
+
+/**
+ * Indexes the files under a static root
+ *
+ * Files are indexed by their real path, and symbolic links are only
+ * followed when they resolve inside the root. Directories are indexed under
+ * their own path when they have an index file, with a trailing slash as
+ * `express.static()` redirects them.
+ *
+ * @param {string} rootPath Absolute path of the static root
+ * @param {Object} config Configuration options
+ * @returns {Promise} Resolves with the segment `trie` of the files and when it was `builtAt`
+ */
+async function buildFileIndex(rootPath, config) {
+  const { distance, isMetric } = config.metric;
+  const trie = createSegmentTrie({
+    distance,
+    isMetric,
+    normalize: config.normalizer.key,
+  });
+  const visited = new Set();
+  let order = 0;
+  let realRoot;
+
+  function add(segments, file, url) {
+    trie.insert(
+      segments.map((value) => ({ type: "static", value })),
+      { file, url, order: order++ }
+    );
+  }
+
+  async function walk(directory, segments) {
+    visited.add(directory);
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory);
+    } catch (error) {
+      return;
+    }
+
+    for (const name of entries.sort()) {
+      if (name.startsWith(".") && config.dotfiles !== "allow") {
+        continue;
+      }
+
+      const target = await resolveInside(
+        realRoot,
+        nodePath.join(directory, name)
+      );
+      if (!target) {
+        continue;
+      }
+
+      const fileSegments = segments.concat(name);
+      const url = "/" + fileSegments.map(encodeURIComponent).join("/");
+
+      if (target.stats.isDirectory()) {
+        if (!visited.has(target.path)) {
+          await walk(target.path, fileSegments);
+        }
+      } else if (target.stats.isFile()) {
+        add(fileSegments, target.path, url);
+
+        // The root's own index is never misspelled
+        if (name === config.index && segments.length > 0) {
+          add(segments, target.path, url.replace(/[^/]*$/, ""));
+        }
+      }
+    }
+  }
+
+  // A missing root is indexed as empty, as express.static() serves nothing
+  try {
+    realRoot = await fs.promises.realpath(rootPath);
+    await walk(realRoot, []);
+  } catch (error) {
+    // Nothing to index
+  }
+
+  return { trie, builtAt: Date.now() };
+}
+
+// Resolves symbolic links, returning null for paths that end up outside the
+// root or can't be read
+async function resolveInside(realRoot, path) {
+  try {
+    const realPath = await fs.promises.realpath(path);
+    if (
+      realPath !== realRoot &&
+      !realPath.startsWith(realRoot + nodePath.sep)
+    ) {
+      return null;
+    }
+    return { path: realPath, stats: await fs.promises.stat(realPath) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the file closest to a request path
+ *
+ * @param {Object} req Express request
+ * @param {Object} fileIndex File index
+ * @param {Object} config Configuration options
+ * @returns {Object|null} Match with the absolute `file` to serve, or null if none or several files are as close
+ */
+function findFile(req, fileIndex, config) {
+  const path = config.normalizer.path(req.path);
+  // At the same distance, files aligned with more request segments win
+  const aligned = (candidate) => candidate.captures.filter(Boolean).length;
+  const candidates = fileIndex.trie
+    .search(splitPath(path), {
+      tolerance: config.budget.path(path.length),
+      segmentTolerance: config.budget.segment,
+      segmentCountTolerance: config.budget.segmentCount,
+      segmentCosts: config.budget.segmentCosts,
+    })
+    .sort(
+      (a, b) =>
+        a.distance - b.distance ||
+        aligned(b) - aligned(a) ||
+        a.entry.order - b.entry.order
+    );
+
+  const [best] = candidates;
+  if (!best) {
+    return null;
+  }
+
+  // Files as close as each other are never guessed between
+  const tied = candidates.some(
+    (candidate) =>
+      candidate.distance === best.distance &&
+      aligned(candidate) === aligned(best) &&
+      candidate.entry.file !== best.entry.file
+  );
+  if (tied) {
+    return null;
+  }
+
+  return {
+    path: best.entry.url,
+    method: "get",
+    distance: best.distance,
+    matchedUrl: best.entry.url,
+    file: best.entry.file,
+  };
+}
+
+module.exports = createTypoTolerantStatic;
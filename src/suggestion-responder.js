@@ -0,0 +1,209 @@
+/**
+ * "Did you mean?" responder for the typo-tolerant routers
+ *
+ * Instead of serving a near-miss from the wrong route, this responder sends
+ * a 404 that lists the closest registered routes, a 300 that lists routes
+ * equally close to the request, or a 405 that lists the methods a path is
+ * registered under. The body is negotiated from the Accept header: JSON for
+ * API clients, HTML for browsers.
+ */
+
+/**
+ * Sends a 404 listing the suggested routes
+ *
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Array} matches Ranked matches, closest first
+ */
+function sendSuggestions(req, res, matches) {
+  sendRoutes(req, res, matches, {
+    status: 404,
+    error: "Not Found",
+    message: "No route matches",
+    key: "suggestions",
+  });
+}
+
+/**
+ * Sends a 300 listing routes that are equally close to the request
+ *
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Array} matches Ambiguous matches, in ranking order
+ */
+function sendMultipleChoices(req, res, matches) {
+  sendRoutes(req, res, matches, {
+    status: 300,
+    error: "Multiple Choices",
+    message: "Several routes are equally close to",
+    key: "choices",
+  });
+}
+
+// Sends a list of routes with the status, title and JSON key of a response.
+// Matches of a router are relative to where it is mounted
+function sendRoutes(req, res, matches, response) {
+  const baseUrl = req.baseUrl || "";
+  const path = baseUrl + req.path;
+  const routes = matches.map((match) => ({
+    path: baseUrl + match.path,
+    url: baseUrl + (match.matchedUrl || match.path),
+    method: match.method.toUpperCase(),
+    distance: match.distance,
+    // Routes read from an OpenAPI document name their operation
+    ...(match.operationId && { operationId: match.operationId }),
+  }));
+  const body = {
+    error: response.error,
+    path,
+    [response.key]: routes,
+  };
+
+  res.status(response.status);
+  res.format({
+    html() {
+      res.send(renderHtml(path, routes, response));
+    },
+    json() {
+      res.json(body);
+    },
+    text() {
+      res.send(renderText(path, routes, response));
+    },
+    default() {
+      res.json(body);
+    },
+  });
+}
+
+/**
+ * Sends a 405 listing the methods a path is registered under
+ *
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Array} methods Lower-case methods of the routes matching the path
+ */
+function sendMethodNotAllowed(req, res, methods) {
+  const allow = [];
+  methods.forEach((method) => {
+    // GET routes also answer HEAD requests
+    const names = method === "get" ? ["GET", "HEAD"] : [method.toUpperCase()];
+    names.forEach((name) => {
+      if (!allow.includes(name)) {
+        allow.push(name);
+      }
+    });
+  });
+
+  const path = (req.baseUrl || "") + req.path;
+  const message = `${req.method} is not allowed for ${path}`;
+
+  res.status(405);
+  res.set("Allow", allow.join(", "));
+  res.format({
+    html() {
+      res.send(
+        `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Method Not Allowed</title>
+</head>
+<body>
+<h1>Method Not Allowed</h1>
+<p>${escapeHtml(message)}. Allowed methods: ${escapeHtml(allow.join(", "))}</p>
+</body>
+</html>
+`
+      );
+    },
+    json() {
+      res.json({ error: "Method Not Allowed", path, allow });
+    },
+    text() {
+      res.send(`${message}\nAllowed methods: ${allow.join(", ")}\n`);
+    },
+    default() {
+      res.json({ error: "Method Not Allowed", path, allow });
+    },
+  });
+}
+
+/**
+ * Renders the suggestions as a small HTML page
+ *
+ * @param {string} path Requested path
+ * @param {Array} suggestions Suggested routes
+ * @param {Object} response Title (`error`) and `message` of the response
+ * @returns {string} HTML document
+ */
+function renderHtml(path, suggestions, response) {
+  const items = suggestions
+    .map(
+      (suggestion) =>
+        `<li><a href="${escapeHtml(suggestion.url)}">${escapeHtml(
+          suggestion.url
+        )}</a> (${escapeHtml(describeSuggestion(suggestion))})</li>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${response.error}</title>
+</head>
+<body>
+<h1>${response.error}</h1>
+<p>${response.message} <code>${escapeHtml(path)}</code>. Did you mean:</p>
+<ul>
+${items}
+</ul>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders the suggestions as plain text
+ *
+ * @param {string} path Requested path
+ * @param {Array} suggestions Suggested routes
+ * @param {Object} response Title (`error`) of the response
+ * @returns {string} Plain text body
+ */
+function renderText(path, suggestions, response) {
+  return (
+    `${response.error}: ${path}\nDid you mean:\n` +
+    suggestions
+      .map(
+        (suggestion) =>
+          `  ${suggestion.url} (${describeSuggestion(suggestion)})`
+      )
+      .join("\n") +
+    "\n"
+  );
+}
+
+// Distance of a suggestion, and the operation it names if any
+function describeSuggestion(suggestion) {
+  return suggestion.operationId
+    ? `distance: ${suggestion.distance}, operationId: ${suggestion.operationId}`
+    : `distance: ${suggestion.distance}`;
+}
+
+// Escapes a value for use in HTML text and attributes
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+module.exports = {
+  sendMethodNotAllowed,
+  sendMultipleChoices,
+  sendSuggestions,
+};
@@ -2,29 +2,44 @@
  * Simple test script for the typo-tolerant router
  *
  * This script creates a test server and makes requests to it with typos
- * to demonstrate the typo-tolerant router in action.
+ * to demonstrate the typo-tolerant router in action. Pass the express
+ * module to test against as the first argument (`express` or `express5`).
  */
 
-const express = require("express");
+const expressModule = process.argv[2] || "express";
+const express = require(expressModule);
+const fs = require("fs");
 const http = require("http");
+const os = require("os");
+const nodePath = require("path");
 const createTypoTolerantRouter = require("../index").createTypoTolerantRouter;
 const createAdvancedTypoTolerantRouter =
   require("../index").createAdvancedTypoTolerantRouter;
+const suggestRoutes = require("../index").suggestRoutes;
+const trackMountPaths = require("../index").trackMountPaths;
+const createTypoAnalytics = require("../index").createTypoAnalytics;
+const typoTolerant = require("../index").typoTolerant;
+const typoFallback = require("../index").typoFallback;
+const createTypoTolerantStatic = require("../index").createTypoTolerantStatic;
+const { getMountPaths, getRegisteredRoutes } = require("./express-routes");
+
+// Express 5 can't report where routers are mounted without this
+trackMountPaths(express);
+const isExpress5 = typeof express().lazyrouter !== "function";
 
 // Create Express app
 const app = express();
 
 // Configure the typo-tolerant middleware
-app.use(
-  createAdvancedTypoTolerantRouter({
-    tolerance: 2,
-    caseSensitive: false,
-    redirectToCorrect: false,
-    logCorrections: true,
-    applyToAllMethods: true,
-    handleParams: true,
-  })
-);
+const typoTolerantMiddleware = createAdvancedTypoTolerantRouter({
+  tolerance: 2,
+  caseSensitive: false,
+  redirectToCorrect: false,
+  logCorrections: true,
+  applyToAllMethods: true,
+  handleParams: true,
+});
+app.use(typoTolerantMiddleware);
 
 // Define some routes
 app.get("/products", (req, res) => {
@@ -37,7 +52,7 @@ app.get("/users/:userId", (req, res) => {
 
 // Start the server
 const server = app.listen(3000, () => {
-  console.log("Test server running on port 3000");
+  console.log(`Test server running on port 3000 (${expressModule})`);
 
   // Run tests
   runTests()
@@ -47,6 +62,7 @@ const server = app.listen(3000, () => {
     })
     .catch((err) => {
       console.error("Test failed:", err);
+      process.exitCode = 1;
       server.close();
     });
 });
@@ -63,9 +79,1796 @@ async function runTests() {
     ["/userz/123", "User details for user ID: 123"], // Typo
   ];
 
+  await runTestCases(testCases);
+
+  // Routes registered after the index was built must be picked up
+  app.get("/orders", (req, res) => {
+    res.send("Orders page");
+  });
+  await runTestCases([["/ordrs", "Orders page"]]);
+
+  // ...including routes added to routers mounted before that
+  const lateRouter = express.Router();
+  const lateApp = createTestApp({}, (testApp) => {
+    testApp.get("/products", (req, res) => res.send("Products page"));
+    testApp.use("/shop", lateRouter);
+  });
+  await withServer(lateApp, async (port) => {
+    await makeRequest("/produts", { port });
+    lateRouter.get("/carts", (req, res) => res.send("Carts page"));
+    const carts = await makeRequest("/shop/crats", { port });
+    assert(
+      carts.body === "Carts page",
+      "routes added to mounted routers are picked up"
+    );
+  });
+
+  // refreshRoutes() forces a rebuild of the route index
+  typoTolerantMiddleware.refreshRoutes();
+  await runTestCases([["/prodcts", "Products page"]]);
+
+  await testSuggestMode();
+  testSuggestRoutes();
+  await testMetrics();
+  testToleranceBudgets();
+  await testRouteSyntax();
+  await testMountPaths();
+  await testMethods();
+  await testCorrectionEvents();
+  await testTypoAnalytics();
+  await testAliases();
+  await testRouteOptions();
+  await testAmbiguity();
+  await testSafety();
+  await testQueryKeys();
+  await testParamValidators();
+  await testSegmentAlignment();
+  await testNormalization();
+  await testFallback();
+  await testRouterScope();
+  await testRedirects();
+  await testStaticFiles();
+  await testOpenApi();
+}
+
+// "suggest" mode answers near-misses with a 404 listing the candidates
+async function testSuggestMode() {
+  const suggestApp = createTestApp(
+    { tolerance: 3, mode: "suggest", suggestionLimit: 2 },
+    (testApp) => {
+      testApp.get("/products", (req, res) => res.send("Products page"));
+      testApp.get("/producers", (req, res) => res.send("Producers page"));
+      testApp.get("/users/:userId", (req, res) => res.send("User"));
+    }
+  );
+
+  await withServer(suggestApp, async (port) => {
+    console.log("Testing suggest mode");
+
+    const exact = await makeRequest("/products", { port });
+    assert(exact.body === "Products page", "exact match is served");
+
+    const json = await makeRequest("/produts", {
+      port,
+      headers: { Accept: "application/json" },
+    });
+    const body = JSON.parse(json.body);
+    assert(json.statusCode === 404, "near-miss returns 404");
+    assert(body.suggestions.length === 2, "suggestions are limited");
+    assert(
+      body.suggestions[0].path === "/products" &&
+        body.suggestions[0].distance === 1,
+      "closest route is listed first"
+    );
+
+    const html = await makeRequest("/usrs/42", {
+      port,
+      headers: { Accept: "text/html" },
+    });
+    assert(
+      html.statusCode === 404 && html.body.includes('href="/users/42"'),
+      "HTML page links to the rewritten URL"
+    );
+
+    console.log("✅ Suggest mode tests passed");
+  });
+}
+
+// suggestRoutes() ranks routes without a request
+function testSuggestRoutes() {
+  console.log("Testing suggestRoutes()");
+
+  const [userMatch] = suggestRoutes(app, "/usrs/7?tab=orders");
+  assert(
+    userMatch.path === "/users/:userId" &&
+      userMatch.method === "GET" &&
+      userMatch.distance === 1 &&
+      userMatch.params.userId === "7" &&
+      userMatch.url === "/users/7?tab=orders",
+    "parameterized suggestion carries params and rewritten URL"
+  );
+
+  assert(
+    suggestRoutes(app, "/produts", { method: "POST" }).length === 0,
+    "suggestions are filtered by method"
+  );
+  assert(
+    suggestRoutes(app, "/produts", { tolerance: 0 }).length === 0,
+    "suggestions respect the tolerance"
+  );
+
+  console.log("✅ suggestRoutes() tests passed");
+}
+
+// The metric option changes how distances are computed
+async function testMetrics() {
+  console.log("Testing distance metrics");
+
+  const distanceTo = (path, options) => {
+    const [match] = suggestRoutes(app, path, options);
+    return match ? match.distance : null;
+  };
+
+  assert(
+    distanceTo("/prodcuts", { tolerance: 1 }) === null &&
+      distanceTo("/prodcuts", { tolerance: 1, metric: "damerau" }) === 1,
+    "damerau counts a transposition as one edit"
+  );
+  assert(
+    distanceTo("/ptoducts", { metric: "qwerty-weighted" }) === 0.5,
+    "qwerty-weighted discounts adjacent keys"
+  );
+  assert(
+    distanceTo("/produts", { metric: "jaro-winkler" }) < 0.1 &&
+      distanceTo("/zzz", { metric: "jaro-winkler" }) === null,
+    "jaro-winkler uses a fractional default tolerance"
+  );
+  assert(
+    distanceTo("/PRODUCTS", {
+      metric: (a, b) => (a.toUpperCase() === b.toUpperCase() ? 0 : 99),
+      caseSensitive: true,
+    }) === 0,
+    "custom metric functions are used as-is"
+  );
+
+  const metricApp = createTestApp(
+    createTypoTolerantRouter({ metric: "damerau", tolerance: 1 }),
+    (testApp) =>
+      testApp.get("/products", (req, res) => res.send("Products page"))
+  );
+
+  await withServer(metricApp, async (port) => {
+    const response = await makeRequest("/prodcuts", { port });
+    assert(
+      response.body === "Products page",
+      "basic router honours the metric option"
+    );
+  });
+
+  console.log("✅ Distance metric tests passed");
+}
+
+// Tolerances can be relative, and segment limits are set separately
+function testToleranceBudgets() {
+  console.log("Testing tolerance budgets");
+
+  const ratioApp = express();
+  ratioApp.get("/fax", (req, res) => res.send("Fax"));
+  ratioApp.get("/internationalization-settings", (req, res) =>
+    res.send("Settings")
+  );
+  ratioApp.get("/orgs/:orgId/members", (req, res) => res.send("Members"));
+
+  const relative = { tolerance: { ratio: 0.15 } };
+  assert(
+    suggestRoutes(ratioApp, "/faq", relative).length === 0,
+    "ratio tolerance is strict for short paths"
+  );
+  assert(
+    suggestRoutes(ratioApp, "/internasionalisation-setings", relative)
+      .length === 1,
+    "ratio tolerance is loose for long paths"
+  );
+  assert(
+    suggestRoutes(ratioApp, "/faq", { tolerance: (length) => length / 4 })
+      .length === 1,
+    "tolerance can be a function of length"
+  );
+
+  assert(
+    suggestRoutes(ratioApp, "/ogrs/5/membrs", { tolerance: 3 }).length === 1 &&
+      suggestRoutes(ratioApp, "/ogrs/5/membrs", {
+        tolerance: 3,
+        segmentTolerance: 1,
+      }).length === 0,
+    "segment tolerance limits each segment"
+  );
+  assert(
+    suggestRoutes(ratioApp, "/orgs/5", { tolerance: 2 }).length === 1 &&
+      suggestRoutes(ratioApp, "/orgs/5", {
+        tolerance: 2,
+        segmentCountTolerance: 0,
+      }).length === 0,
+    "segment count tolerance limits missing segments"
+  );
+
+  console.log("✅ Tolerance budget tests passed");
+}
+
+// Route paths are parsed in the syntax of the Express version in use
+async function testRouteSyntax() {
+  console.log(`Testing route syntax (${expressModule})`);
+
+  const syntaxApp = express();
+  syntaxApp.use(createAdvancedTypoTolerantRouter());
+
+  const api = express.Router();
+  api.get("/widgets/:widgetId", (req, res) =>
+    res.send(`Widget ${req.params.widgetId}`)
+  );
+  syntaxApp.use("/api", api);
+
+  // Optional segments and wildcards are spelled differently in Express 5
+  const reportsHandler = (req, res) =>
+    res.send(`Reports ${req.params.year || "all"}`);
+  if (isExpress5) {
+    syntaxApp.get("/reports{/:year}", reportsHandler);
+    syntaxApp.get("/assets/*file", (req, res) =>
+      res.send(`Asset ${req.params.file.join("/")}`)
+    );
+  } else {
+    syntaxApp.get("/reports/:year?", reportsHandler);
+    syntaxApp.get("/assets/*", (req, res) =>
+      res.send(`Asset ${req.params[0]}`)
+    );
+    syntaxApp.get("/orders/:orderId(\\d+)", (req, res) =>
+      res.send(`Order ${req.params.orderId}`)
+    );
+  }
+
+  syntaxApp.get(/^\/legacy\/.*\.php$/, (req, res) => res.send("Legacy"));
+  syntaxApp.get("/legacy/index.pl", (req, res) => res.send("Perl"));
+  syntaxApp.get(["/help", "/support"], (req, res) => res.send("Help"));
+
+  await withServer(syntaxApp, async (port) => {
+    const widget = await makeRequest("/api/widgts/7", { port });
+    assert(widget.body === "Widget 7", "routes of mounted routers are matched");
+
+    const asset = await makeRequest("/asets/css/app.css", { port });
+    assert(
+      asset.body === "Asset css/app.css",
+      "wildcards absorb the rest of the path"
+    );
+
+    const reports = await makeRequest("/reprts", { port });
+    assert(reports.body === "Reports all", "optional segments may be omitted");
+
+    const yearly = await makeRequest("/reprts/2024", { port });
+    assert(yearly.body === "Reports 2024", "optional segments may be present");
+
+    const legacy = await makeRequest("/legacy/index.php", { port });
+    assert(legacy.body === "Legacy", "RegExp routes are matched exactly");
+
+    const support = await makeRequest("/suport", { port });
+    assert(support.body === "Help", "every path of an array route is matched");
+
+    if (!isExpress5) {
+      const order = await makeRequest("/ordrs/42", { port });
+      assert(order.body === "Order 42", "constrained parameters are matched");
+
+      const invalid = await makeRequest("/ordrs/abc", { port });
+      assert(
+        invalid.statusCode === 404,
+        "values failing a parameter constraint aren't corrected"
+      );
+    }
+  });
+
+  // Wildcards take linear time, however many segments they could absorb
+  const longPath = Array(20000).fill("a").join("/");
+  const started = Date.now();
+  const [longAsset] = suggestRoutes(syntaxApp, `/asets/${longPath}`);
+  assert(
+    longAsset.url === `/assets/${longPath}` && Date.now() - started < 500,
+    "long paths are matched against wildcards quickly"
+  );
+
+  console.log("✅ Route syntax tests passed");
+}
+
+// Routes of nested routers, parameterized mounts and sub-apps get full paths
+async function testMountPaths() {
+  console.log("Testing mount paths");
+
+  const mountApp = express();
+  mountApp.use(createAdvancedTypoTolerantRouter());
+
+  const orgs = express.Router({ mergeParams: true });
+  orgs.get("/members", (req, res) =>
+    res.send(`Members of ${req.params.orgId}`)
+  );
+  mountApp.use("/orgs/:orgId", orgs);
+
+  const api = express.Router();
+  const v1 = express.Router();
+  v1.get("/status", (req, res) => res.send("Status"));
+  api.use("/v1", v1);
+  mountApp.use("/api", api);
+
+  const admin = express();
+  admin.get("/dashboard", (req, res) => res.send("Dashboard"));
+  mountApp.use("/admin", admin);
+
+  const [suggestion] = suggestRoutes(mountApp, "/ogrs/5/members");
+  assert(
+    suggestion.path === "/orgs/:orgId/members" &&
+      suggestion.params.orgId === "5",
+    "parameterized mount paths are part of the route path"
+  );
+
+  await withServer(mountApp, async (port) => {
+    const members = await makeRequest("/ogrs/5/members", { port });
+    assert(
+      members.body === "Members of 5",
+      "typos in a mount prefix are corrected"
+    );
+
+    const status = await makeRequest("/api/v1/stauts", { port });
+    assert(status.body === "Status", "nested routers are matched");
+
+    const dashboard = await makeRequest("/admn/dashboard", { port });
+    assert(dashboard.body === "Dashboard", "mounted sub-apps are matched");
+  });
+
+  // Express 4 mount paths can be rebuilt from their regular expression
+  if (!isExpress5) {
+    const Layer = require(`${expressModule}/lib/router/layer`);
+    const layer = new Layer(
+      "/orgs/:orgId(\\d+)/teams/:teamId?",
+      { end: false },
+      function router() {}
+    );
+    const [mountPath] = getMountPaths(layer);
+    assert(
+      mountPath === "/orgs/:orgId(\\d+)/teams/:teamId?",
+      `untracked mount paths are rebuilt (got ${mountPath})`
+    );
+
+    const arrayLayer = new Layer(
+      ["/orgs/:orgId(\\d+)", "/teams/:teamId?"],
+      { end: false },
+      function router() {}
+    );
+    const mountPaths = getMountPaths(arrayLayer);
+    assert(
+      mountPaths.join() === "/orgs/:orgId(\\d+),/teams/:teamId?",
+      `untracked array mount paths are rebuilt (got ${mountPaths})`
+    );
+  }
+
+  // Express 5 can't rebuild them, so skipping their routes is warned about
+  if (isExpress5) {
+    const Layer = require(require.resolve("router/lib/layer", {
+      paths: [require.resolve(expressModule)],
+    }));
+    const untracked = express.Router();
+    untracked.get("/status", (req, res) => res.send("Status"));
+    const layer = new Layer("/api", { end: false }, untracked);
+
+    const warnings = [];
+    const logger = { warn: (entry) => warnings.push(entry) };
+    const routes = getRegisteredRoutes({ stack: [layer, layer] }, { logger });
+    assert(routes.length === 0, "untracked mount paths are skipped");
+    assert(
+      warnings.length === 1 && warnings[0].msg.includes("trackMountPaths"),
+      "skipped routers are warned about once, through the logger"
+    );
+  }
+
+  console.log("✅ Mount path tests passed");
+}
+
+// Corrections stay within the request method; other methods get a 405
+async function testMethods() {
+  console.log("Testing method-aware matching");
+
+  const addRoutes = (testApp) => {
+    testApp.get("/users", (req, res) => res.send("Users"));
+    testApp.post("/orders", (req, res) => res.send("Order created"));
+  };
+  const methodApp = createTestApp(
+    { applyToAllMethods: true, unsafeTolerance: 2 },
+    addRoutes
+  );
+  const redirectApp = createTestApp(
+    createTypoTolerantRouter({
+      applyToAllMethods: true,
+      unsafeTolerance: 2,
+      mode: "redirect",
+    }),
+    addRoutes
+  );
+
+  await withServer(methodApp, async (port) => {
+    const post = await makeRequest("/usres", { port, method: "POST" });
+    assert(
+      post.statusCode === 404,
+      "typos aren't corrected to routes of another method"
+    );
+
+    const order = await makeRequest("/ordrs", { port, method: "POST" });
+    assert(order.body === "Order created", "typos are corrected per method");
+
+    const wrongMethod = await makeRequest("/orders", { port });
+    assert(
+      wrongMethod.statusCode === 405 && wrongMethod.headers.allow === "POST",
+      "paths registered under other methods get a 405 with an Allow header"
+    );
+
+    const head = await makeRequest("/users", { port, method: "HEAD" });
+    assert(head.statusCode === 200, "GET routes answer HEAD requests");
+  });
+
+  await withServer(redirectApp, async (port) => {
+    const get = await makeRequest("/usres", { port });
+    assert(
+      get.statusCode === 301 && get.headers.location === "/users",
+      "GET requests are redirected with a 301"
+    );
+
+    const post = await makeRequest("/ordrs", { port, method: "POST" });
+    assert(
+      post.statusCode === 308 && post.headers.location === "/orders",
+      "other requests are redirected with a 308"
+    );
+  });
+
+  // Only static routes of other methods answer 405, and only when no route
+  // of the request's method is close
+  const slugApp = createTestApp({}, (testApp) => {
+    testApp.get("/health", (req, res) => res.send("Healthy"));
+    testApp.post("/:slug", (req, res) => res.send("Created"));
+    testApp.post("/healht-checks", (req, res) => res.send("Checked"));
+  });
+
+  await withServer(slugApp, async (port) => {
+    const favicon = await makeRequest("/favicon.ico", { port });
+    assert(
+      favicon.statusCode === 404,
+      "parameter routes of other methods don't answer 405"
+    );
+
+    const health = await makeRequest("/healht", { port });
+    assert(
+      health.body === "Healthy",
+      "typos of routes of the request's method aren't answered with 405"
+    );
+
+    const checks = await makeRequest("/healht-checks", { port });
+    assert(
+      checks.statusCode === 405,
+      "static routes of other methods still answer 405"
+    );
+  });
+
+  console.log("✅ Method-aware matching tests passed");
+}
+
+// Corrections are reported to the hook, event listeners and the logger
+async function testCorrectionEvents() {
+  console.log("Testing correction events");
+
+  const hooked = [];
+  const emitted = [];
+  const logged = [];
+
+  const typoTolerance = createAdvancedTypoTolerantRouter({
+    onCorrection: (event) => hooked.push(event),
+    logger: { info: (entry) => logged.push(entry) },
+  });
+  typoTolerance.on("correction", (event, req) => emitted.push([event, req]));
+  const eventApp = createTestApp(typoTolerance, (testApp) =>
+    testApp.get("/users/:userId", (req, res) => res.send("User"))
+  );
+
+  await withServer(eventApp, async (port) => {
+    await makeRequest("/usrs/42", {
+      port,
+      headers: { "X-Request-Id": "req-1" },
+    });
+    await makeRequest("/users/42", { port });
+  });
+
+  const [event] = hooked;
+  assert(
+    hooked.length === 1 &&
+      event.originalPath === "/usrs/42" &&
+      event.route === "/users/:userId" &&
+      event.url === "/users/42" &&
+      event.distance === 1 &&
+      event.metric === "levenshtein" &&
+      event.method === "GET" &&
+      event.action === "rewrite" &&
+      event.params.userId === "42" &&
+      event.requestId === "req-1",
+    "onCorrection receives one event per correction"
+  );
+  assert(
+    emitted.length === 1 && emitted[0][0] === event && emitted[0][1].path,
+    "correction events are emitted with the request"
+  );
+  assert(
+    logged.length === 1 &&
+      logged[0].route === "/users/:userId" &&
+      logged[0].msg === logged[0].message,
+    "corrections are logged to the injected logger"
+  );
+
+  console.log("✅ Correction event tests passed");
+}
+
+// Corrections and near-misses are aggregated per route
+async function testTypoAnalytics() {
+  console.log("Testing typo analytics");
+
+  const analytics = createTypoAnalytics({ maxTypos: 2 });
+  const analyticsApp = createTestApp(
+    analytics.track(createAdvancedTypoTolerantRouter()),
+    (testApp) => {
+      testApp.get("/__typos", analytics.handler());
+      testApp.get("/metrics", analytics.prometheusHandler());
+      testApp.get("/products", (req, res) => res.send("Products"));
+    }
+  );
+
+  await withServer(analyticsApp, async (port) => {
+    for (const path of ["/produts", "/produts", "/produts", "/prodcts"]) {
+      await makeRequest(path, { port });
+    }
+    // Too far to correct, but within twice the tolerance
+    await makeRequest("/prdcs", { port });
+
+    const stats = JSON.parse((await makeRequest("/__typos", { port })).body);
+    const [products] = stats.routes;
+    assert(
+      products.route === "/products" &&
+        products.method === "GET" &&
+        products.corrections === 4 &&
+        products.nearMisses === 1,
+      "corrections and near-misses are counted per route"
+    );
+    assert(
+      products.typos.length === 2 &&
+        products.typos[0].path === "/produts" &&
+        products.typos[0].count === 3,
+      "only the most frequent misspellings are kept"
+    );
+
+    const metrics = await makeRequest("/metrics", { port });
+    assert(
+      metrics.body.includes(
+        'typo_corrections_total{route="/products",method="GET"} 4'
+      ),
+      "statistics are exported in the Prometheus format"
+    );
+  });
+
+  console.log("✅ Typo analytics tests passed");
+}
+
+// Aliases resolve legacy names, and repeated corrections become aliases
+async function testAliases() {
+  console.log("Testing aliases");
+
+  const aliasFile = nodePath.join(
+    os.tmpdir(),
+    `typo-aliases-${process.pid}.json`
+  );
+  const typoTolerance = createAdvancedTypoTolerantRouter({
+    aliases: {
+      "/customers": "/clients",
+      "/customer/:id": "/clients/:id",
+    },
+    learnAliases: { threshold: 2, file: aliasFile, saveDelay: 50 },
+    applyToAllMethods: true,
+  });
+  const events = [];
+  typoTolerance.on("correction", (event) => events.push(event));
+  const aliasApp = createTestApp(typoTolerance, (testApp) => {
+    testApp.get("/clients", (req, res) => res.send("Clients"));
+    testApp.get("/clients/:clientId", (req, res) =>
+      res.send(`Client ${req.params.clientId}`)
+    );
+    testApp.get("/products", (req, res) => res.send("Products"));
+    testApp.get("/users/:id", (req, res) => res.send(`User ${req.params.id}`));
+    testApp.delete("/users/:id", (req, res) =>
+      res.send(`Deleted ${req.params.id}`)
+    );
+  });
+
+  try {
+    await withServer(aliasApp, async (port) => {
+      const clients = await makeRequest("/customers", { port });
+      assert(clients.body === "Clients", "static aliases are resolved");
+
+      const client = await makeRequest("/customer/7", { port });
+      assert(client.body === "Client 7", "aliases carry their parameters");
+
+      await makeRequest("/produts", { port });
+      await makeRequest("/produts", { port });
+      await makeRequest("/produts", { port });
+      assert(
+        events.filter((event) => event.alias).length === 3 &&
+          events[events.length - 1].alias,
+        "repeated corrections are promoted to aliases"
+      );
+
+      // Aliases learned from GET requests don't apply to DELETE requests
+      await makeRequest("/usrs/5", { port });
+      await makeRequest("/usrs/5", { port });
+      const deleted = await makeRequest("/usrs/5", { port, method: "DELETE" });
+      assert(
+        deleted.statusCode === 404,
+        "learned aliases only apply to their own method"
+      );
+    });
+
+    // The learned aliases are written asynchronously, in batches
+    const readLearned = () =>
+      fs.existsSync(aliasFile)
+        ? JSON.parse(fs.readFileSync(aliasFile, "utf8"))
+        : {};
+    for (let i = 0; i < 20 && !readLearned()["GET /usrs/5"]; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    const learned = readLearned();
+    assert(
+      learned["GET /produts"].url === "/products" &&
+        learned["GET /usrs/5"].url === "/users/5",
+      "learned aliases are persisted"
+    );
+  } finally {
+    if (fs.existsSync(aliasFile)) {
+      fs.unlinkSync(aliasFile);
+    }
+  }
+
+  // Dry runs never learn, and save failures go to the logger
+  const warnings = [];
+  const logger = { info() {}, warn: (entry) => warnings.push(entry) };
+  const dryRunFile = nodePath.join(
+    os.tmpdir(),
+    `typo-aliases-dry-${process.pid}.json`
+  );
+  const unsavableFile = nodePath.join(
+    os.tmpdir(),
+    `typo-aliases-missing-${process.pid}`,
+    "aliases.json"
+  );
+  const dryRun = createAdvancedTypoTolerantRouter({
+    dryRun: true,
+    learnAliases: { threshold: 1, file: dryRunFile },
+  });
+  const unsavable = createAdvancedTypoTolerantRouter({
+    logger,
+    learnAliases: { threshold: 1, file: unsavableFile, saveDelay: 0 },
+  });
+  const addProducts = (testApp) =>
+    testApp.get("/products", (req, res) => res.send("Products"));
+
+  const dryRunEvents = [];
+  dryRun.on("correction", (event) => dryRunEvents.push(event));
+
+  await withServer(createTestApp(dryRun, addProducts), async (port) => {
+    await makeRequest("/produts", { port });
+    await makeRequest("/produts", { port });
+  });
+  assert(
+    dryRunEvents.length === 2 && !dryRunEvents.some((event) => event.alias),
+    "dry runs don't learn aliases"
+  );
+  await withServer(createTestApp(unsavable, addProducts), async (port) => {
+    await makeRequest("/produts", { port });
+  });
+  for (let i = 0; i < 20 && warnings.length === 0; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert(!fs.existsSync(dryRunFile), "dry runs don't write the alias file");
+  assert(
+    warnings.length === 1 && warnings[0].msg.includes(unsavableFile),
+    "alias save failures are logged to the logger"
+  );
+
+  // Only the most recently used aliases are kept
+  const capped = createAdvancedTypoTolerantRouter({
+    learnAliases: { threshold: 1, maxAliases: 2 },
+  });
+  const cappedEvents = [];
+  capped.on("correction", (event) => cappedEvents.push(event));
+  const cappedApp = createTestApp(capped, (testApp) => {
+    testApp.get("/products", (req, res) => res.send("Products"));
+    testApp.get("/orders", (req, res) => res.send("Orders"));
+    testApp.get("/invoices", (req, res) => res.send("Invoices"));
+  });
+  await withServer(cappedApp, async (port) => {
+    await makeRequest("/produts", { port });
+    await makeRequest("/ordrs", { port });
+    await makeRequest("/produts", { port });
+    await makeRequest("/invoces", { port });
+    await makeRequest("/produts", { port });
+    await makeRequest("/ordrs", { port });
+  });
+  assert(
+    cappedEvents.map((event) => Boolean(event.alias)).join() ===
+      "false,false,true,false,true,false",
+    "learned aliases are capped, dropping the least recently used"
+  );
+
+  // Learned aliases keep their distance, which the unsafe tolerance limits
+  const unsafeFile = nodePath.join(
+    os.tmpdir(),
+    `typo-aliases-unsafe-${process.pid}.json`
+  );
+  fs.writeFileSync(
+    unsafeFile,
+    JSON.stringify({ "DELETE /usrs/5": { url: "/users/5", distance: 1 } })
+  );
+  try {
+    const unsafeApp = createTestApp(
+      createAdvancedTypoTolerantRouter({
+        learnAliases: { file: unsafeFile },
+        applyToAllMethods: true,
+      }),
+      (testApp) =>
+        testApp.delete("/users/:id", (req, res) =>
+          res.send(`Deleted ${req.params.id}`)
+        )
+    );
+    await withServer(unsafeApp, async (port) => {
+      const deleted = await makeRequest("/usrs/5", { port, method: "DELETE" });
+      assert(
+        deleted.statusCode === 404,
+        "learned aliases are held to the unsafe tolerance"
+      );
+    });
+  } finally {
+    fs.unlinkSync(unsafeFile);
+  }
+
+  console.log("✅ Alias tests passed");
+}
+
+// Routes can opt out of fuzzy matching or get their own tolerance
+async function testRouteOptions() {
+  console.log("Testing per-route options");
+
+  const optionsApp = createTestApp(
+    {
+      exclude: ["/webhooks/**", /^\/auth\//],
+      routeTolerance: { "/reports/*": 4 },
+    },
+    (testApp) => {
+      testApp.get(
+        "/admin/delete-all",
+        typoTolerant({ disabled: true }),
+        (req, res) => res.send("Deleted")
+      );
+      testApp.get("/webhooks/stripe", (req, res) => res.send("Webhook"));
+      testApp.get("/auth/callback", (req, res) => res.send("Callback"));
+      testApp.get("/reports/quarterly", (req, res) => res.send("Quarterly"));
+      testApp.get(
+        "/orders/:orderId",
+        typoTolerant({ tolerance: 0 }),
+        (req, res) => res.send(`Order ${req.params.orderId}`)
+      );
+    }
+  );
+
+  await withServer(optionsApp, async (port) => {
+    const marked = await makeRequest("/admin/delete-al", { port });
+    assert(marked.statusCode === 404, "marked routes aren't fuzzy-matched");
+
+    const exact = await makeRequest("/admin/delete-all", { port });
+    assert(exact.body === "Deleted", "marked routes still match exactly");
+
+    const webhook = await makeRequest("/webhooks/strip", { port });
+    assert(webhook.statusCode === 404, "glob exclusions are respected");
+
+    const callback = await makeRequest("/auth/calback", { port });
+    assert(callback.statusCode === 404, "RegExp exclusions are respected");
+
+    const report = await makeRequest("/reprts/qurtrly", { port });
+    assert(
+      report.body === "Quarterly",
+      "route tolerances can be larger than the middleware's"
+    );
+
+    const order = await makeRequest("/ordrs/5", { port });
+    assert(order.statusCode === 404, "markers can override the tolerance");
+  });
+
+  console.log("✅ Per-route option tests passed");
+}
+
+// Ties between routes are refused, listed or settled by priority
+async function testAmbiguity() {
+  console.log("Testing ambiguous matches");
+
+  const addRoutes = (testApp) => {
+    testApp.get("/car", (req, res) => res.send("Car"));
+    testApp.get("/cap", typoTolerant({ priority: 1 }), (req, res) =>
+      res.send("Cap")
+    );
+    testApp.get("/catalog", (req, res) => res.send("Catalog"));
+    testApp.get("/catalogue", (req, res) => res.send("Catalogue"));
+  };
+
+  await withServer(createTestApp({}, addRoutes), async (port) => {
+    const tie = await makeRequest("/cat", { port });
+    assert(tie.statusCode === 404, "ties are passed through by default");
+
+    const clear = await makeRequest("/catalgue", { port });
+    assert(clear.body === "Catalogue", "clear winners are still corrected");
+  });
+
+  await withServer(
+    createTestApp({ ambiguity: "choices", ambiguityMargin: 1 }, addRoutes),
+    async (port) => {
+      const tie = await makeRequest("/cat", {
+        port,
+        headers: { Accept: "application/json" },
+      });
+      const body = JSON.parse(tie.body);
+      assert(
+        tie.statusCode === 300 &&
+          body.choices.map((choice) => choice.path).join() === "/car,/cap",
+        "ties are listed in a 300 response"
+      );
+
+      const nearTie = await makeRequest("/catalogu", {
+        port,
+        headers: { Accept: "application/json" },
+      });
+      assert(
+        nearTie.statusCode === 300 &&
+          JSON.parse(nearTie.body).choices.length === 2,
+        "matches within the margin are ambiguous too"
+      );
+    }
+  );
+
+  await withServer(
+    createTestApp(
+      {
+        ambiguity: "priority",
+        ambiguityMargin: 1,
+        routePriority: { "/catalog": 1 },
+      },
+      addRoutes
+    ),
+    async (port) => {
+      const marked = await makeRequest("/cat", { port });
+      assert(marked.body === "Cap", "marker priorities settle ties");
+
+      const configured = await makeRequest("/catalogu", { port });
+      assert(
+        configured.body === "Catalog",
+        "configured priorities settle near-ties"
+      );
+    }
+  );
+
+  console.log("✅ Ambiguous match tests passed");
+}
+
+// State-changing requests are only corrected on request, and corrected
+// requests are marked for their handlers
+async function testSafety() {
+  console.log("Testing safety of corrections");
+
+  const safeApp = createTestApp({ applyToAllMethods: true }, (testApp) => {
+    testApp.get("/accounts/:accountId", (req, res) =>
+      res.json(req.typoCorrection || null)
+    );
+    testApp.delete("/accounts/:accountId", (req, res) => res.send("Deleted"));
+  });
+
+  const dryRun = createAdvancedTypoTolerantRouter({ dryRun: true });
+  const events = [];
+  dryRun.on("correction", (event) => events.push(event));
+  const dryRunApp = createTestApp(dryRun, (testApp) =>
+    testApp.get("/products", (req, res) => res.send("Products"))
+  );
+
+  await withServer(safeApp, async (port) => {
+    const unsafe = await makeRequest("/acounts/5", { port, method: "DELETE" });
+    assert(
+      unsafe.statusCode === 404,
+      "state-changing requests aren't corrected by default"
+    );
+
+    const safe = await makeRequest("/acounts/5", { port });
+    const correction = JSON.parse(safe.body);
+    assert(
+      safe.headers["x-typo-corrected"] === "/acounts/5" &&
+        correction.route === "/accounts/:accountId" &&
+        correction.action === "rewrite",
+      "corrected requests are marked for handlers and clients"
+    );
+
+    const exact = await makeRequest("/accounts/5", { port });
+    assert(
+      exact.body === "null" && !exact.headers["x-typo-corrected"],
+      "exact matches aren't marked"
+    );
+  });
+
+  await withServer(dryRunApp, async (port) => {
+    const response = await makeRequest("/produts", { port });
+    assert(
+      response.statusCode === 404 &&
+        events.length === 1 &&
+        events[0].dryRun &&
+        events[0].route === "/products",
+      "dry runs only report corrections"
+    );
+  });
+
+  console.log("✅ Safety tests passed");
+}
+
+// Unknown query keys are corrected onto the keys routes declare
+async function testQueryKeys() {
+  console.log("Testing query key correction");
+
+  const typoTolerance = createAdvancedTypoTolerantRouter({
+    queryKeys: {
+      "/orders": { type: "object", properties: { status: {}, limit: {} } },
+    },
+  });
+  const events = [];
+  typoTolerance.on("correction", (event) => events.push(event));
+  const queryApp = createTestApp(typoTolerance, (testApp) => {
+    testApp.get(
+      "/products",
+      typoTolerant({ query: ["page", "sortBy"] }),
+      (req, res) => res.json(req.query)
+    );
+    testApp.get("/orders", (req, res) => res.json(req.query));
+    testApp.get("/users", (req, res) => res.json(req.query));
+  });
+
+  await withServer(queryApp, async (port) => {
+    const marked = await makeRequest("/products?pgae=2&sortby=name&q=x", {
+      port,
+    });
+    const query = JSON.parse(marked.body);
+    assert(
+      query.page === "2" && query.sortBy === "name" && query.q === "x",
+      "query keys declared by markers are corrected"
+    );
+    assert(
+      events[0].route === "/products" &&
+        events[0].distance === 0 &&
+        events[0].query.pgae === "page",
+      "query key corrections are reported"
+    );
+
+    const schema = await makeRequest("/ordrs?statsu=open", { port });
+    assert(
+      JSON.parse(schema.body).status === "open" &&
+        events[1].route === "/orders" &&
+        events[1].query.statsu === "status",
+      "query keys are inferred from schemas, along with path corrections"
+    );
+
+    const present = await makeRequest("/products?page=1&pgae=2", { port });
+    assert(
+      JSON.parse(present.body).pgae === "2",
+      "keys aren't merged into keys the query already has"
+    );
+
+    const undeclared = await makeRequest("/users?pgae=2", { port });
+    assert(
+      JSON.parse(undeclared.body).pgae === "2",
+      "routes without declared keys are left alone"
+    );
+  });
+
+  console.log("✅ Query key tests passed");
+}
+
+// Candidates with invalid parameters are rejected, and static segments win
+async function testParamValidators() {
+  console.log("Testing parameter validators");
+
+  const uuid = "0b6f3c9e-8d2a-4f1b-9c7e-5a4d3b2c1e0f";
+  const paramApp = createTestApp(
+    { paramValidators: { "/orders/:orderId": { orderId: "uuid" } } },
+    (testApp) => {
+      testApp.get(
+        "/users/:userId",
+        typoTolerant({ params: { userId: "int" } }),
+        (req, res) => res.send(`User ${req.params.userId}`)
+      );
+      testApp.get("/user/settings", (req, res) => res.send("Settings"));
+      testApp.get("/orders/:orderId", (req, res) =>
+        res.send(`Order ${req.params.orderId}`)
+      );
+      testApp.get("/teams/:teamId/members", (req, res) =>
+        res.send(`Members of ${req.params.teamId}`)
+      );
+      testApp.get("/teams/:teamId/:tab", (req, res) => res.send("Team tab"));
+    }
+  );
+
+  await withServer(paramApp, async (port) => {
+    const settings = await makeRequest("/usrs/settings", { port });
+    assert(
+      settings.body === "Settings",
+      "candidates with invalid parameters are rejected"
+    );
+
+    const user = await makeRequest("/usrs/42", { port });
+    assert(user.body === "User 42", "valid parameters are still matched");
+
+    const invalid = await makeRequest("/ordrs/abc", { port });
+    assert(invalid.statusCode === 404, "validators can be set by route glob");
+
+    const order = await makeRequest(`/ordrs/${uuid}`, { port });
+    assert(order.body === `Order ${uuid}`, "built-in types are validated");
+
+    const members = await makeRequest("/tems/7/members", { port });
+    assert(
+      members.body === "Members of 7",
+      "static segments are preferred over parameters, not tied with them"
+    );
+  });
+
+  // Captured parameters cost as much as a typo, even without validators
+  const unvalidatedApp = createTestApp({}, (testApp) => {
+    testApp.get("/users/:userId", (req, res) =>
+      res.send(`User ${req.params.userId}`)
+    );
+    testApp.get("/user/settings", (req, res) => res.send("Settings"));
+  });
+
+  await withServer(unvalidatedApp, async (port) => {
+    const settings = await makeRequest("/usrs/settings", { port });
+    assert(
+      settings.body === "Settings",
+      "static routes win over parameters capturing a segment one edit closer"
+    );
+
+    const user = await makeRequest("/usrs/42", { port });
+    assert(user.body === "User 42", "parameterized routes are still matched");
+  });
+
+  // Validators only filter fuzzy candidates, never routes matching exactly
+  const exactApp = createTestApp({}, (testApp) => {
+    testApp.get(
+      "/users/:id",
+      typoTolerant({ params: { id: "int" } }),
+      (req, res) => res.send(`User ${req.params.id}`)
+    );
+    testApp.get("/user/:name", (req, res) =>
+      res.send(`Name ${req.params.name}`)
+    );
+  });
+
+  await withServer(exactApp, async (port) => {
+    const exact = await makeRequest("/users/abc", { port });
+    assert(
+      exact.body === "User abc" &&
+        exact.headers["x-typo-corrected"] === undefined,
+      "exact matches are left alone even if their parameters are invalid"
+    );
+  });
+
+  console.log("✅ Parameter validator tests passed");
+}
+
+// Inserted, dropped and swapped segments are aligned with the route
+async function testSegmentAlignment() {
+  console.log("Testing segment alignment");
+
+  const alignmentApp = createTestApp({}, (testApp) => {
+    testApp.get("/api/v1/users/:userId", (req, res) =>
+      res.send(`User ${req.params.userId}`)
+    );
+    testApp.get("/api/orders/:orderId", (req, res) =>
+      res.send(`Order ${req.params.orderId}`)
+    );
+    testApp.get("/customers/:customerId/invoices", (req, res) =>
+      res.send(`Invoices of ${req.params.customerId}`)
+    );
+  });
+
+  await withServer(alignmentApp, async (port) => {
+    const dropped = await makeRequest("/api/users/5", { port });
+    assert(dropped.body === "User 5", "dropped segments are restored");
+
+    const inserted = await makeRequest("/api/v2/orders/7", { port });
+    assert(inserted.body === "Order 7", "inserted segments are removed");
+
+    const swapped = await makeRequest("/customers/invoices/42", { port });
+    assert(
+      swapped.body === "Invoices of 42",
+      "parameters follow the alignment of swapped segments"
+    );
+
+    const combined = await makeRequest("/api/user/5", { port });
+    assert(
+      combined.body === "User 5",
+      "segment and character costs are combined"
+    );
+  });
+
+  const [swapped] = suggestRoutes(alignmentApp, "/customers/invoices/42", {
+    segmentCosts: { transpose: 0.5 },
+  });
+  assert(
+    swapped.distance === 0.5 && swapped.url === "/customers/42/invoices",
+    "segment costs are configurable"
+  );
+
+  // Static routes are aligned too, so they aren't lost to parameters
+  // taking the place of misplaced segments
+  const addResourceRoutes = (testApp) => {
+    testApp.get("/api/v1/users", (req, res) => res.send("Users"));
+    testApp.get("/users/:id", (req, res) => res.send(`User ${req.params.id}`));
+    testApp.get("/users/:id/orders", (req, res) =>
+      res.send(`Orders of ${req.params.id}`)
+    );
+  };
+
+  await withServer(createTestApp({}, addResourceRoutes), async (port) => {
+    const dropped = await makeRequest("/api/users", { port });
+    assert(dropped.body === "Users", "static routes restore dropped segments");
+
+    const swapped = await makeRequest("/users/orders/123", { port });
+    assert(
+      swapped.body === "Orders of 123",
+      "swapped segments beat inserted ones"
+    );
+
+    const missing = await makeRequest("/users", { port });
+    assert(
+      missing.statusCode === 404 && !missing.headers["x-typo-corrected"],
+      "missing parameters aren't dropped"
+    );
+  });
+
+  await withServer(
+    createTestApp({ mode: "redirect" }, addResourceRoutes),
+    async (port) => {
+      const redirect = await makeRequest("/api/users", { port });
+      assert(
+        redirect.statusCode === 301 &&
+          redirect.headers.location === "/api/v1/users",
+        "aligned static routes are redirected to"
+      );
+    }
+  );
+
+  console.log("✅ Segment alignment tests passed");
+}
+
+// Request and route paths are normalized the same way before matching
+async function testNormalization() {
+  console.log("Testing path normalisation");
+
+  const router = createAdvancedTypoTolerantRouter({
+    normalization: { stripExtensions: [".json"] },
+  });
+  const events = [];
+  router.on("correction", (event) => events.push(event));
+  const normalizedApp = createTestApp(router, (testApp) => {
+    testApp.get("/products", (req, res) => res.send("Products"));
+    testApp.get("/reports/summary.json", (req, res) => res.send("Summary"));
+    testApp.get("/users/:userId", (req, res) =>
+      res.send(`User ${req.params.userId}`)
+    );
+  });
+
+  await withServer(normalizedApp, async (port) => {
+    for (const path of [
+      "//products",
+      "/products/",
+      "/produ%63ts",
+      "/%D1%80roducts",
+      "/%EF%BD%90%EF%BD%92%EF%BD%8F%EF%BD%84%EF%BD%95%EF%BD%83%EF%BD%94%EF%BD%93",
+    ]) {
+      const response = await makeRequest(path, { port });
+      assert(response.body === "Products", `${path} is normalized`);
+    }
+    assert(events.length === 0, "normalized paths aren't corrections");
+
+    const typo = await makeRequest("//prodcts/", { port });
+    assert(
+      typo.body === "Products" && events.length === 1,
+      "typos are corrected after normalisation"
+    );
+
+    const stripped = await makeRequest("/reports/summary", { port });
+    assert(stripped.body === "Summary", "route extensions are stripped");
+
+    const extension = await makeRequest("/users/5.json", { port });
+    assert(extension.body === "User 5", "request extensions are stripped");
+  });
+
+  const unicodeApp = express();
+  unicodeApp.get("/caf\u00e9", (req, res) => res.send("Café"));
+  const [composed] = suggestRoutes(unicodeApp, "/cafe\u0301");
+  assert(composed.distance === 0, "Unicode is compared in NFC");
+
+  const [strict] = suggestRoutes(normalizedApp, "/products/", {
+    normalization: { trailingSlash: "strict" },
+  });
+  assert(strict.distance === 1, "trailing slashes can count as typos");
+
+  console.log("✅ Normalisation tests passed");
+}
+
+// The fallback only corrects requests no route or middleware handled
+async function testFallback() {
+  console.log("Testing fallback mode");
+
+  let maybeCalls = 0;
+  let middlewareCalls = 0;
+  const fallbackApp = express();
+  fallbackApp.use((req, res, next) => {
+    middlewareCalls++;
+    return req.path === "/prodcts" ? res.send("Legacy") : next();
+  });
+  fallbackApp.get("/products", (req, res) => res.send("Products"));
+  fallbackApp.get("/users/:userId", (req, res) =>
+    res.send(`User ${req.params.userId}`)
+  );
+  fallbackApp.get("/maybe", (req, res, next) => {
+    maybeCalls++;
+    next();
+  });
+  fallbackApp.use(typoFallback());
+  fallbackApp.use((req, res) => res.status(404).send("Not found"));
+
+  await withServer(fallbackApp, async (port) => {
+    const typo = await makeRequest("/produts", { port });
+    assert(typo.body === "Products", "typos are dispatched again");
+    assert(
+      middlewareCalls === 1,
+      "middleware before the fallback doesn't run again"
+    );
+
+    const param = await makeRequest("/usrs/5", { port });
+    assert(param.body === "User 5", "parameterized typos are dispatched again");
+
+    const handled = await makeRequest("/prodcts", { port });
+    assert(
+      handled.body === "Legacy",
+      "requests handled before the fallback aren't corrected"
+    );
+
+    const unhandled = await makeRequest("/maybe", { port });
+    assert(
+      unhandled.body === "Not found" && maybeCalls === 1,
+      "exact matches aren't dispatched again"
+    );
+
+    const unknown = await makeRequest("/zzzzzz", { port });
+    assert(unknown.statusCode === 404, "unknown paths reach the next handler");
+  });
+
+  // Mounted under a path, a fallback corrects the routes of its router
+  const api = express.Router();
+  api.get("/orders", (req, res) => res.send("Orders"));
+  api.use(typoFallback({ router: api }));
+  const mountedApp = express();
+  mountedApp.get("/products", (req, res) => res.send("Products"));
+  mountedApp.use("/api", api);
+  mountedApp.use("/shop", typoFallback());
+  mountedApp.get("/users", (req, res) => res.send("Root users"));
+  const nested = express.Router();
+  nested.get("/accounts", (req, res) => res.send("Accounts"));
+  nested.use(typoFallback());
+  mountedApp.use("/v2", nested);
+
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    await withServer(mountedApp, async (port) => {
+      const order = await makeRequest("/api/ordrs", { port });
+      assert(
+        order.body === "Orders",
+        "fallbacks correct their router's routes"
+      );
+
+      await makeRequest("/shop/prodcts", { port });
+      const root = await makeRequest("/shop/prodcts", { port });
+      assert(
+        root.statusCode === 404 &&
+          warnings.length === 1 &&
+          warnings[0].includes("typoFallback({ router })"),
+        "fallbacks mounted without their router are skipped with a warning"
+      );
+
+      const nestedUsers = await makeRequest("/v2/usrs", { port });
+      assert(
+        nestedUsers.statusCode === 404 && warnings.length === 2,
+        "fallbacks in routers mounted under a path need their router too"
+      );
+    });
+  } finally {
+    console.warn = warn;
+  }
+
+  console.log("✅ Fallback tests passed");
+}
+
+// Middleware mounted on a router only considers the routes of that router
+async function testRouterScope() {
+  console.log("Testing router-scoped middleware");
+
+  const billing = express.Router();
+  billing.use(
+    createAdvancedTypoTolerantRouter({ router: billing, tolerance: 1 })
+  );
+  billing.get("/invoices/:invoiceId", (req, res) =>
+    res.send(`Invoice ${req.params.invoiceId}`)
+  );
+
+  const docs = express.Router();
+  docs.use(
+    createAdvancedTypoTolerantRouter({
+      router: docs,
+      tolerance: 3,
+      mode: "redirect",
+    })
+  );
+  docs.get("/getting-started", (req, res) => res.send("Getting started"));
+
+  const scopedApp = express();
+  scopedApp.use("/billing", billing);
+  scopedApp.use("/docs", docs);
+  scopedApp.get("/payments", (req, res) => res.send("Payments"));
+
+  await withServer(scopedApp, async (port) => {
+    const invoice = await makeRequest("/billing/invoces/5", { port });
+    assert(invoice.body === "Invoice 5", "routers correct their own routes");
+
+    const strict = await makeRequest("/billing/invcs/5", { port });
+    assert(strict.statusCode === 404, "routers have their own tolerance");
+
+    const outside = await makeRequest("/billing/payment", { port });
+    assert(
+      outside.statusCode === 404,
+      "routes outside the router aren't considered"
+    );
+
+    const redirect = await makeRequest("/docs/geting-startd", { port });
+    assert(
+      redirect.statusCode === 301 &&
+        redirect.headers.location === "/docs/getting-started",
+      "redirects are relative to the mount path"
+    );
+  });
+
+  console.log("✅ Router scope tests passed");
+}
+
+// Redirects use the configured status and never loop
+async function testRedirects() {
+  console.log("Testing redirects");
+
+  const createRedirectApp = (options) =>
+    createTestApp(
+      { applyToAllMethods: true, unsafeTolerance: 2, ...options },
+      (testApp) => {
+        testApp.get("/products", (req, res) => res.send("Products"));
+        testApp.post("/products", (req, res) => res.send("Created"));
+        testApp.get("/users/:userId", (req, res) =>
+          res.send(`User ${req.params.userId}`)
+        );
+        testApp.post("/orders", (req, res) => res.send("Ordered"));
+      }
+    );
+
+  await withServer(createRedirectApp({ mode: "redirect" }), async (port) => {
+    const param = await makeRequest("/usrs/5?tab=posts", { port });
+    assert(
+      param.statusCode === 301 &&
+        param.headers.location === "/users/5?tab=posts",
+      "parameterized matches are redirected"
+    );
+
+    const exact = await makeRequest("/products", { port });
+    assert(exact.body === "Products", "exact matches aren't redirected");
+
+    const upperCase = await makeRequest("/PRODUCTS", { port });
+    const trailingSlash = await makeRequest("/products/", { port });
+    assert(
+      upperCase.body === "Products" && trailingSlash.body === "Products",
+      "exact matches differing only by case or normalisation aren't redirected"
+    );
+
+    const post = await makeRequest("/prodcts", { port, method: "POST" });
+    assert(post.statusCode === 308, "other methods keep their method and body");
+  });
+
+  await withServer(
+    createRedirectApp({
+      mode: "redirect",
+      redirectStatus: 302,
+      methodFallback: true,
+    }),
+    async (port) => {
+      const found = await makeRequest("/prodcts", { port });
+      assert(found.statusCode === 302, "the redirect status is configurable");
+
+      const post = await makeRequest("/prodcts", { port, method: "POST" });
+      assert(post.statusCode === 307, "302 becomes 307 for other methods");
+
+      const otherMethod = await makeRequest("/ordrs", { port });
+      assert(
+        otherMethod.statusCode !== 302,
+        "URLs that would be corrected again aren't redirected to"
+      );
+    }
+  );
+
+  await withServer(createRedirectApp({ canonicalLink: true }), async (port) => {
+    const rewritten = await makeRequest("/prodcts", { port });
+    assert(
+      rewritten.body === "Products" &&
+        rewritten.headers.link === '</products>; rel="canonical"',
+      "rewritten responses link to the canonical URL"
+    );
+
+    const exact = await makeRequest("/products", { port });
+    assert(!exact.headers.link, "exact matches get no canonical link");
+
+    const withQuery = await makeRequest("/prodcts?page=2", { port });
+    assert(
+      withQuery.headers.link === '</products>; rel="canonical"',
+      "canonical links leave out the query string"
+    );
+  });
+
+  let invalidStatus = null;
+  try {
+    createAdvancedTypoTolerantRouter({ redirectStatus: 200 });
+  } catch (error) {
+    invalidStatus = error;
+  }
+  assert(
+    invalidStatus instanceof TypeError,
+    "invalid redirect statuses are rejected"
+  );
+
+  console.log("✅ Redirect tests passed");
+}
+
+// Misspelled paths of static files are served, but only from the root
+async function testStaticFiles() {
+  console.log("Testing static files");
+
+  const tempDir = fs.mkdtempSync(nodePath.join(os.tmpdir(), "typo-static-"));
+  try {
+    const root = nodePath.join(tempDir, "public");
+    fs.mkdirSync(nodePath.join(root, "docs"), { recursive: true });
+    fs.writeFileSync(nodePath.join(root, "app.js"), "app");
+    fs.writeFileSync(nodePath.join(root, ".secret"), "secret");
+    fs.writeFileSync(nodePath.join(root, "docs", "index.html"), "docs");
+    fs.writeFileSync(
+      nodePath.join(root, "docs", "getting-started.html"),
+      "guide"
+    );
+    fs.writeFileSync(nodePath.join(tempDir, "outside.txt"), "outside");
+    fs.symlinkSync(
+      nodePath.join(tempDir, "outside.txt"),
+      nodePath.join(root, "outside.txt")
+    );
+
+    const served = createTypoTolerantStatic(root);
+    const redirected = createTypoTolerantStatic(root, { mode: "redirect" });
+    const staticApp = express();
+    staticApp.use("/assets", express.static(root));
+    staticApp.use("/assets", served);
+    staticApp.use("/files", express.static(root));
+    staticApp.use("/files", redirected);
+
+    await withServer(staticApp, async (port) => {
+      const file = await makeRequest("/assets/ap.js", { port });
+      assert(
+        file.body === "app" &&
+          file.headers["x-typo-corrected"] === "/assets/ap.js",
+        "misspelled files are served"
+      );
+
+      const nested = await makeRequest("/assets/dcs/geting-started.html", {
+        port,
+      });
+      assert(nested.body === "guide", "files are matched segment by segment");
+
+      const directory = await makeRequest("/assets/dos/", { port });
+      assert(directory.body === "docs", "directories serve their index");
+
+      const outside = await makeRequest("/assets/outsid.txt", { port });
+      const dotfile = await makeRequest("/assets/.secrt", { port });
+      assert(
+        outside.statusCode === 404 && dotfile.statusCode === 404,
+        "files outside the root and dotfiles are never served"
+      );
+
+      const redirect = await makeRequest("/files/ap.js?v=2", { port });
+      assert(
+        redirect.statusCode === 301 &&
+          redirect.headers.location === "/files/app.js?v=2",
+        "misspelled files can be redirected to"
+      );
+
+      fs.writeFileSync(nodePath.join(root, "styles.css"), "styles");
+      await served.refresh();
+      const added = await makeRequest("/assets/style.css", { port });
+      assert(added.body === "styles", "the index can be rebuilt");
+    });
+
+    // Where the root can't be watched, the refresh interval takes over
+    const warnings = [];
+    const watch = fs.watch;
+    fs.watch = () => {
+      throw new Error("recursive watching is unsupported");
+    };
+    try {
+      createTypoTolerantStatic(root, {
+        watch: true,
+        refreshInterval: 0,
+        logger: { info() {}, warn: (entry) => warnings.push(entry) },
+      });
+    } finally {
+      fs.watch = watch;
+    }
+    assert(
+      warnings.length === 1 && warnings[0].msg.includes("every 60000 ms"),
+      "failing to watch the root falls back to the refresh interval"
+    );
+  } finally {
+    removeDir(tempDir);
+  }
+
+  console.log("✅ Static file tests passed");
+}
+
+// Routes read from an OpenAPI document carry its schemas and operation IDs
+async function testOpenApi() {
+  console.log("Testing OpenAPI documents");
+
+  const document = {
+    openapi: "3.0.3",
+    servers: [{ url: "https://api.example.com/v1" }],
+    paths: {
+      "/users/{userId}": {
+        parameters: [{ $ref: "#/components/parameters/UserId" }],
+        get: { operationId: "getUser" },
+      },
+      "/products": {
+        get: {
+          operationId: "listProducts",
+          parameters: [{ name: "page", in: "query" }],
+        },
+      },
+      "/orders/{status}": {
+        get: {
+          operationId: "listOrders",
+          parameters: [
+            {
+              name: "status",
+              in: "path",
+              schema: { type: "string", enum: ["open", "closed"] },
+            },
+          ],
+        },
+      },
+    },
+    components: {
+      parameters: {
+        UserId: { name: "userId", in: "path", schema: { type: "integer" } },
+      },
+    },
+  };
+
+  const createOpenApiApp = (options) =>
+    createTestApp({ openapi: document, ...options }, (testApp) => {
+      testApp.get("/v1/users/:userId", (req, res) =>
+        res.send(`User ${req.params.userId}`)
+      );
+      testApp.get("/v1/products", (req, res) => res.json(req.query));
+      testApp.get("/v1/orders/:status", (req, res) =>
+        res.send(`Orders ${req.params.status}`)
+      );
+    });
+
+  await withServer(createOpenApiApp(), async (port) => {
+    const user = await makeRequest("/v1/usrs/5", { port });
+    assert(user.body === "User 5", "{param} templates are routes");
+
+    const invalid = await makeRequest("/v1/usrs/abc", { port });
+    assert(invalid.statusCode === 404, "parameter schemas validate values");
+
+    const orders = await makeRequest("/v1/ordrs/open", { port });
+    const unknown = await makeRequest("/v1/ordrs/pending", { port });
+    assert(
+      orders.body === "Orders open" && unknown.statusCode === 404,
+      "enum schemas validate values"
+    );
+
+    const query = await makeRequest("/v1/prodcts?pgae=2", { port });
+    assert(
+      JSON.parse(query.body).page === "2",
+      "query parameters are corrected"
+    );
+  });
+
+  await withServer(createOpenApiApp({ mode: "suggest" }), async (port) => {
+    const json = await makeRequest("/v1/usrs/5", {
+      port,
+      headers: { Accept: "application/json" },
+    });
+    const [suggestion] = JSON.parse(json.body).suggestions;
+    assert(
+      suggestion.url === "/v1/users/5" && suggestion.operationId === "getUser",
+      "suggestions name their operation"
+    );
+
+    const html = await makeRequest("/v1/usrs/5", {
+      port,
+      headers: { Accept: "text/html" },
+    });
+    const text = await makeRequest("/v1/usrs/5", {
+      port,
+      headers: { Accept: "text/plain" },
+    });
+    assert(
+      html.body.includes("operationId: getUser") &&
+        text.body.includes("/v1/users/5 (distance: 1, operationId: getUser)"),
+      "HTML and text suggestions name their operation"
+    );
+  });
+
+  await withServer(
+    createOpenApiApp({ openapiBasePath: "/v2" }),
+    async (port) => {
+      const moved = await makeRequest("/v1/usrs/5", { port });
+      assert(moved.statusCode === 404, "the base path is configurable");
+    }
+  );
+
+  // Patterns only valid without the Unicode flag still validate, and ones
+  // that don't compile at all are skipped with a warning
+  const warnings = [];
+  const patternApp = createTestApp(
+    {
+      logger: { info() {}, warn: (entry) => warnings.push(entry) },
+      openapi: {
+        openapi: "3.0.3",
+        paths: {
+          "/phones/{number}": {
+            get: {
+              parameters: [
+                {
+                  name: "number",
+                  in: "path",
+                  schema: { type: "string", pattern: "^\\d{3}\\-\\d{4}$" },
+                },
+              ],
+            },
+          },
+          "/codes/{code}": {
+            get: {
+              parameters: [
+                {
+                  name: "code",
+                  in: "path",
+                  schema: { type: "string", pattern: "([a-z]" },
+                },
+              ],
+            },
+          },
+        },
+      },
+    },
+    (testApp) => {
+      testApp.get("/phones/:number", (req, res) =>
+        res.send(`Phone ${req.params.number}`)
+      );
+      testApp.get("/codes/:code", (req, res) =>
+        res.send(`Code ${req.params.code}`)
+      );
+    }
+  );
+  await withServer(patternApp, async (port) => {
+    const phone = await makeRequest("/phons/555-1234", { port });
+    const notPhone = await makeRequest("/phons/5551234", { port });
+    assert(
+      phone.body === "Phone 555-1234" && notPhone.statusCode === 404,
+      "non-Unicode schema patterns validate values"
+    );
+
+    const code = await makeRequest("/cods/abc", { port });
+    assert(
+      code.body === "Code abc" &&
+        warnings.length === 1 &&
+        warnings[0].msg.includes("GET /codes/{code}"),
+      "invalid schema patterns are skipped with a warning"
+    );
+  });
+
+  const file = nodePath.join(
+    fs.mkdtempSync(nodePath.join(os.tmpdir(), "typo-openapi-")),
+    "openapi.json"
+  );
+  try {
+    fs.writeFileSync(file, JSON.stringify(document));
+    await withServer(createOpenApiApp({ openapi: file }), async (port) => {
+      const user = await makeRequest("/v1/usrs/5", { port });
+      assert(user.body === "User 5", "documents are read from JSON files");
+    });
+  } finally {
+    removeDir(nodePath.dirname(file));
+  }
+
+  console.log("✅ OpenAPI tests passed");
+}
+
+// Creates an app with a middleware in front of the routes `addRoutes` adds;
+// options instead of a middleware configure an advanced router
+function createTestApp(middleware, addRoutes) {
+  const testApp = express();
+  testApp.use(
+    typeof middleware === "function"
+      ? middleware
+      : createAdvancedTypoTolerantRouter(middleware)
+  );
+  addRoutes(testApp);
+  return testApp;
+}
+
+// Starts an app on a free port, runs the callback and closes the server
+async function withServer(testApp, callback) {
+  const testServer = await new Promise((resolve) => {
+    const listening = testApp.listen(0, () => resolve(listening));
+  });
+
+  try {
+    await callback(testServer.address().port);
+  } finally {
+    testServer.close();
+  }
+}
+
+// Removes a temporary directory; fs.rmSync() needs Node 14.14
+function removeDir(dir) {
+  if (fs.rmSync) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  } else {
+    fs.rmdirSync(dir, { recursive: true });
+  }
+}
+
+// Throws if a test condition doesn't hold
+function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ Test failed: ${message}`);
+    throw new Error(`Test failed: ${message}`);
+  }
+}
+
+// Runs a list of [path, expectedResponse] test cases
+async function runTestCases(testCases) {
   for (const [path, expectedResponse] of testCases) {
     console.log(`Testing path: ${path}`);
-    const response = await makeRequest(path);
+    const response = (await makeRequest(path)).body;
 
     if (response === expectedResponse) {
       console.log(`✅ Test passed for ${path}`);
@@ -79,22 +1882,36 @@ async function runTests() {
 }
 
 // Helper function to make HTTP requests
-function makeRequest(path) {
+function makeRequest(path, options = {}) {
   return new Promise((resolve, reject) => {
     http
-      .get(`http://localhost:3000${path}`, (res) => {
-        let data = "";
+      .request(
+        {
+          host: "localhost",
+          port: options.port || 3000,
+          path,
+          method: options.method || "GET",
+          headers: options.headers,
+        },
+        (res) => {
+          let data = "";
 
-        res.on("data", (chunk) => {
-          data += chunk;
-        });
+          res.on("data", (chunk) => {
+            data += chunk;
+          });
 
-        res.on("end", () => {
-          resolve(data);
-        });
-      })
+          res.on("end", () => {
+            resolve({
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body: data,
+            });
+          });
+        }
+      )
       .on("error", (err) => {
         reject(err);
-      });
+      })
+      .end();
   });
 }
@@ -0,0 +1,95 @@
+/**
+ * Tolerance budgets for the typo-tolerant routers
+ *
+ * A tolerance can be a fixed distance, a ratio of the compared length or a
+ * function of that length. The budget resolves the path, per-segment and
+ * segment-count limits of a configuration into functions the matchers call.
+ * State-changing requests get a path limit of their own, so a typo'd
+ * `DELETE` isn't rewritten onto another handler as readily as a `GET`.
+ */
+
+// Methods whose requests change state
+const UNSAFE_METHODS = new Set(["post", "put", "patch", "delete"]);
+
+/**
+ * Resolves a tolerance option into a function of the compared length
+ *
+ * @param {number|Object|Function} tolerance Fixed distance, `{ ratio, min, max }` or `(length) => number`
+ * @returns {Function} Function returning the maximum distance for a length
+ */
+function resolveTolerance(tolerance) {
+  if (typeof tolerance === "number") {
+    return () => tolerance;
+  }
+
+  if (typeof tolerance === "function") {
+    return tolerance;
+  }
+
+  if (tolerance && typeof tolerance.ratio === "number") {
+    const { ratio, min = 0, max = Infinity } = tolerance;
+    return (length) => Math.min(max, Math.max(min, ratio * length));
+  }
+
+  throw new TypeError(
+    "Tolerance must be a number, a { ratio, min, max } object or a function of length"
+  );
+}
+
+/**
+ * Creates the tolerance budget of a configuration
+ *
+ * @param {Object} config Configuration options
+ * @param {number|Object|Function} config.tolerance Maximum total distance of a path
+ * @param {number|Object|Function} config.segmentTolerance Maximum distance of a single segment (default: same as tolerance)
+ * @param {number} config.segmentCountTolerance Maximum number of missing or extra segments (default: no limit besides tolerance)
+ * @param {number|Object|Function} config.nearMissTolerance Maximum distance of a near-miss, reported but not corrected (default: twice the tolerance)
+ * @param {number|Object|Function} config.unsafeTolerance Maximum total distance of a path for POST, PUT, PATCH and DELETE requests (default: same as tolerance, though both routers default it to 0)
+ * @param {Object} config.segmentCosts Costs of inserted, dropped, swapped and substituted segments (default: see segment-trie.js)
+ * @returns {Object} Budget with `path(length)`, `segment(length)`, `segmentCount`, `segmentCosts`, `nearMiss(length)` and `unsafe(length)`
+ */
+function createToleranceBudget(config) {
+  const path = resolveTolerance(config.tolerance);
+  const segment =
+    config.segmentTolerance === undefined
+      ? path
+      : resolveTolerance(config.segmentTolerance);
+
+  const nearMiss =
+    config.nearMissTolerance === undefined
+      ? (length) => 2 * path(length)
+      : resolveTolerance(config.nearMissTolerance);
+
+  const unsafe =
+    config.unsafeTolerance === undefined
+      ? path
+      : resolveTolerance(config.unsafeTolerance);
+
+  return {
+    path,
+    segment,
+    segmentCount:
+      config.segmentCountTolerance === undefined
+        ? Infinity
+        : config.segmentCountTolerance,
+    segmentCosts: config.segmentCosts,
+    nearMiss,
+    unsafe,
+  };
+}
+
+/**
+ * Whether a request method changes state, and gets the unsafe tolerance
+ *
+ * @param {string} method Lowercase HTTP method
+ * @returns {boolean} Whether the method is POST, PUT, PATCH or DELETE
+ */
+function isUnsafeMethod(method) {
+  return UNSAFE_METHODS.has(method);
+}
+
+module.exports = {
+  createToleranceBudget,
+  isUnsafeMethod,
+  resolveTolerance,
+};
@@ -0,0 +1,223 @@
+/**
+ * Typo analytics for the typo-tolerant routers
+ *
+ * Aggregates the corrections and near-misses reported by a typo-tolerant
+ * middleware per route, so the typos clients actually send can be turned
+ * into aliases or fixed in client code. Memory is bounded: routes are kept
+ * in a least-recently-seen map, and the misspellings of each route in a
+ * Space-Saving top-K sketch, which keeps the most frequent ones with
+ * counts that are only ever overestimated by `error`.
+ */
+
+/**
+ * Creates a typo analytics collector
+ *
+ * @param {Object} options Collector options
+ * @param {number} options.maxRoutes Maximum number of routes kept; the least recently seen is dropped first (default: 1000)
+ * @param {number} options.maxTypos Maximum number of misspellings kept per route (default: 20)
+ * @returns {Object} Collector with `track()`, `record()`, `getStats()`, `toPrometheus()`, `handler()`, `prometheusHandler()` and `reset()` methods
+ */
+function createTypoAnalytics(options = {}) {
+  const config = {
+    maxRoutes: 1000,
+    maxTypos: 20,
+    ...options,
+  };
+
+  let routes = new Map();
+
+  /**
+   * Records the corrections and near-misses of a typo-tolerant middleware
+   *
+   * @param {Function} middleware Middleware returned by one of the routers
+   * @returns {Function} The same middleware
+   */
+  function track(middleware) {
+    middleware.on("correction", record);
+    middleware.on("nearMiss", record);
+    return middleware;
+  }
+
+  /**
+   * Records a correction or near-miss event (see correction-events.js)
+   *
+   * @param {Object} event Event with an `action` of "none" for near-misses
+   */
+  function record(event) {
+    // Routes of routers are relative to where they are mounted
+    const route = (event.baseUrl || "") + event.route;
+    const key = `${event.method} ${route}`;
+    const now = Date.now();
+
+    let stats = routes.get(key);
+    if (stats) {
+      // Move the route to the most recently seen end
+      routes.delete(key);
+    } else {
+      stats = {
+        route,
+        method: event.method,
+        corrections: 0,
+        nearMisses: 0,
+        firstSeen: now,
+        lastSeen: now,
+        typos: new Map(),
+      };
+      if (routes.size >= config.maxRoutes) {
+        routes.delete(routes.keys().next().value);
+      }
+    }
+    routes.set(key, stats);
+
+    if (event.action === "none") {
+      stats.nearMisses++;
+    } else {
+      stats.corrections++;
+    }
+    stats.lastSeen = now;
+    countTypo(stats.typos, (event.baseUrl || "") + event.originalPath, now);
+  }
+
+  // Space-Saving: when full, the least frequent typo is replaced and its
+  // count inherited as the error of the new one
+  function countTypo(typos, path, now) {
+    let typo = typos.get(path);
+
+    if (!typo) {
+      let error = 0;
+      if (typos.size >= config.maxTypos) {
+        let min = null;
+        for (const [candidate, counter] of typos) {
+          if (!min || counter.count < typos.get(min).count) {
+            min = candidate;
+          }
+        }
+        error = typos.get(min).count;
+        typos.delete(min);
+      }
+
+      typo = { count: error, error, firstSeen: now, lastSeen: now };
+      typos.set(path, typo);
+    }
+
+    typo.count++;
+    typo.lastSeen = now;
+  }
+
+  /**
+   * Returns the aggregated statistics, most affected routes first
+   *
+   * @returns {Object} `{ routes }`, each with `route`, `method`, `corrections`,
+   *   `nearMisses`, `firstSeen`, `lastSeen` and its most frequent `typos`
+   */
+  function getStats() {
+    const list = Array.from(routes.values()).map((stats) => ({
+      route: stats.route,
+      method: stats.method,
+      corrections: stats.corrections,
+      nearMisses: stats.nearMisses,
+      firstSeen: new Date(stats.firstSeen).toISOString(),
+      lastSeen: new Date(stats.lastSeen).toISOString(),
+      typos: Array.from(stats.typos, ([path, typo]) => ({
+        path,
+        count: typo.count,
+        error: typo.error,
+        firstSeen: new Date(typo.firstSeen).toISOString(),
+        lastSeen: new Date(typo.lastSeen).toISOString(),
+      })).sort((a, b) => b.count - a.count),
+    }));
+
+    list.sort(
+      (a, b) => b.corrections + b.nearMisses - (a.corrections + a.nearMisses)
+    );
+
+    return { routes: list };
+  }
+
+  /**
+   * Formats the statistics in the Prometheus text exposition format
+   *
+   * @returns {string} Prometheus metrics
+   */
+  function toPrometheus() {
+    const lines = [
+      "# HELP typo_corrections_total Requests corrected to a route.",
+      "# TYPE typo_corrections_total counter",
+    ];
+    const nearMissLines = [
+      "# HELP typo_near_misses_total Requests close to a route, but not corrected.",
+      "# TYPE typo_near_misses_total counter",
+    ];
+    const typoLines = [
+      "# HELP typo_misspellings_total Most frequent misspellings of a route.",
+      "# TYPE typo_misspellings_total counter",
+    ];
+
+    for (const stats of routes.values()) {
+      const labels = `route="${escapeLabel(stats.route)}",method="${escapeLabel(
+        stats.method
+      )}"`;
+      lines.push(`typo_corrections_total{${labels}} ${stats.corrections}`);
+      nearMissLines.push(
+        `typo_near_misses_total{${labels}} ${stats.nearMisses}`
+      );
+      for (const [path, typo] of stats.typos) {
+        typoLines.push(
+          `typo_misspellings_total{${labels},path="${escapeLabel(path)}"} ${
+            typo.count
+          }`
+        );
+      }
+    }
+
+    return lines.concat(nearMissLines, typoLines).join("\n") + "\n";
+  }
+
+  /**
+   * Creates an Express handler that responds with the statistics as JSON
+   *
+   * @returns {Function} Express route handler, e.g. for `app.get("/__typos", ...)`
+   */
+  function handler() {
+    return (req, res) => res.json(getStats());
+  }
+
+  /**
+   * Creates an Express handler that responds with Prometheus metrics
+   *
+   * @returns {Function} Express route handler, e.g. for `app.get("/metrics", ...)`
+   */
+  function prometheusHandler() {
+    return (req, res) => {
+      res.type("text/plain; version=0.0.4");
+      res.send(toPrometheus());
+    };
+  }
+
+  /**
+   * Drops every recorded statistic
+   */
+  function reset() {
+    routes = new Map();
+  }
+
+  return {
+    track,
+    record,
+    getStats,
+    toPrometheus,
+    handler,
+    prometheusHandler,
+    reset,
+  };
+}
+
+// Escapes a Prometheus label value
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+module.exports = createTypoAnalytics;
@@ -2,45 +2,187 @@
  * Advanced Typo-Tolerant Router for Express.js
  *
  * This middleware allows Express routes to match URLs with minor typos,
- * using Levenshtein distance to find the closest matching route.
+ * using Levenshtein distance (or another configured metric) to find the
+ * closest matching route.
  * This version also handles route parameters.
  */
 
-const Levenshtein = require("levenshtein");
-const pathToRegexp = require("path-to-regexp");
+const { createAliasTable, findAliasMatch, learnAliases } = require("./aliases");
+const { resolveAmbiguity } = require("./ambiguity");
+const {
+  createCorrectionEvent,
+  markCorrected,
+  mixinEventEmitter,
+  reportCorrection,
+  reportNearMiss,
+} = require("./correction-events");
+const { dispatchToRoutes, getRegisteredRoutes } = require("./express-routes");
+const { getOpenApiRoutes } = require("./openapi");
+const {
+  allowsMethod,
+  buildRouteIndex,
+  countAlignedSegments,
+  createRouteCache,
+  findOtherMethods,
+  getSearchTolerance,
+  matchPatternRoutes,
+  rankCandidates,
+  searchExactParamRoutes,
+  searchStaticRoutes,
+  splitPath,
+} = require("./route-index");
+const { resolveMetric } = require("./metrics");
+const { createNormalizer } = require("./normalization");
+const { correctQuery, renameQueryKeys } = require("./query-keys");
+const {
+  canRedirect,
+  getRedirectStatus,
+  linkCanonical,
+  validateRedirectStatus,
+} = require("./redirects");
+const {
+  sendMethodNotAllowed,
+  sendMultipleChoices,
+  sendSuggestions,
+} = require("./suggestion-responder");
+const { createToleranceBudget, isUnsafeMethod } = require("./tolerance");
 
 /**
  * Creates a middleware that provides typo tolerance for Express routes
  *
  * @param {Object} options Configuration options
- * @param {number} options.tolerance Maximum edit distance to consider a match (default: 2)
+ * @param {number|Object|Function} options.tolerance Maximum distance to consider a match: a number, `{ ratio, min, max }` of the path length or `(length) => number` (default: 2, or 0.1 for "jaro-winkler")
+ * @param {string|Function} options.metric Distance metric: "levenshtein", "damerau", "jaro-winkler", "qwerty-weighted" or a `(a, b) => number` function (default: "levenshtein")
+ * @param {number|Object|Function} options.segmentTolerance Maximum distance of a single segment of a parameterized route, given the segment length (default: same as tolerance)
+ * @param {number} options.segmentCountTolerance Maximum number of missing or extra segments for a parameterized route (default: no limit besides tolerance)
+ * @param {Object} options.segmentCosts Costs of segments inserted into, dropped from, swapped in or substituted in the request path of a parameterized route: `{ insert, delete, transpose, substitute }` (default: 1, 1, 1 and Infinity)
  * @param {boolean} options.caseSensitive Whether to perform case-sensitive matching (default: false)
+ * @param {Object} options.normalization Steps applied to request and route paths before matching: `{ collapseSlashes, trailingSlash, decode, unicode, confusables, stripExtensions }` (default: every step but stripExtensions)
  * @param {boolean} options.redirectToCorrect Whether to redirect to the correct URL (default: false)
+ * @param {string} options.mode How to handle a near-miss: "rewrite", "redirect" or "suggest" (default: "redirect" if redirectToCorrect is set, else "rewrite")
+ * @param {number} options.redirectStatus Status of redirects: 301, 302, 307 or 308; requests other than GET and HEAD get 308 for 301 and 307 for 302 (default: 301)
+ * @param {boolean} options.canonicalLink Whether rewritten responses get a `Link: <url>; rel="canonical"` header with the corrected URL (default: false)
+ * @param {number} options.suggestionLimit Maximum number of routes listed in "suggest" mode (default: 5)
  * @param {boolean} options.logCorrections Whether to log corrections to console (default: false)
+ * @param {Object} options.logger Pino or winston compatible logger that corrections are logged to with `info()`, instead of the console
+ * @param {Function} options.onCorrection Called with `(event, req)` for every correction (see correction-events.js)
+ * @param {Array} options.include Route path globs (`*` within a segment, `**` across segments) or RegExps; other routes are never fuzzy-matched (default: every route)
+ * @param {Array} options.exclude Route path globs or RegExps that are never fuzzy-matched (default: none)
+ * @param {Object} options.routeTolerance Tolerances by route path glob, e.g. `{ "/reports/**": 3 }` (default: none)
+ * @param {string} options.ambiguity What to do when several routes are as close: "pass" the request through, list them in a 300 response ("choices"), pick the highest "priority" or the "first" registered (default: "pass")
+ * @param {number} options.ambiguityMargin Maximum distance from the best match for another route to count as just as close (default: 0)
+ * @param {Object} options.routePriority Priorities by route path glob for the "priority" policy; higher wins (default: none)
+ * @param {Object} options.queryKeys Query keys, or JSON Schemas of the query, by route path glob; unknown keys are corrected onto them (default: none)
+ * @param {Object} options.aliases Map of alias paths to canonical route paths, checked before fuzzy matching, e.g. `{ "/customer/:id": "/clients/:id" }` (default: none)
+ * @param {boolean|Object} options.learnAliases Whether to promote repeated corrections into aliases: `true` or `{ threshold, file, maxCandidates }` (default: false)
+ * @param {number|Object|Function} options.nearMissTolerance Maximum distance of a route reported in "nearMiss" events when nothing was corrected (default: twice the tolerance)
+ * @param {boolean} options.autoRefreshRoutes Whether to rebuild the route index when routes are added later (default: true)
  * @param {boolean} options.applyToAllMethods Whether to apply to all HTTP methods (default: false)
+ * @param {number|Object|Function} options.unsafeTolerance Maximum distance to correct a POST, PUT, PATCH or DELETE request, which per-route tolerances can't widen (default: 0, never)
+ * @param {boolean} options.dryRun Whether to only report corrections, without rewriting or redirecting (default: false)
+ * @param {boolean} options.methodFallback Whether a typo may be corrected to a route of another method (default: false)
+ * @param {boolean} options.methodNotAllowed Whether to answer 405 when a static path only exists under other methods, and no route of the request's method is close (default: true)
  * @param {boolean} options.handleParams Whether to handle route parameters (default: true)
- * @returns {Function} Express middleware function
+ * @param {Object} options.paramValidators Parameter validators by route path glob, e.g. `{ "/users/:userId": { userId: "int" } }`; candidates with invalid parameters are rejected (default: none)
+ * @param {Object|string} options.openapi OpenAPI 3 document, or the path of its JSON or YAML file, to read the routes from instead of the app; parameter schemas become validators, query parameters query keys and operation IDs are listed with suggestions (default: none)
+ * @param {string} options.openapiBasePath Path the OpenAPI routes are mounted at (default: the path of the document's first server URL)
+ * @param {Object} options.router Express router the middleware is mounted on with `router.use()`; only its routes are considered, relative to `req.baseUrl` (default: every route of the app)
+ * @param {boolean} options.fallback Whether the middleware is installed after the routes, so it only sees requests no route handled, and re-dispatches corrected ones through the routes of the router or app (default: false, see `typoFallback()`)
+ * @returns {Function} Express middleware function, with a `refreshRoutes()` method and EventEmitter methods emitting "correction" and "nearMiss" events
  */
 function createAdvancedTypoTolerantRouter(options = {}) {
+  const metric = resolveMetric(options.metric);
+
   // Default options
   const config = {
-    tolerance: 2,
+    tolerance: metric.defaultTolerance,
     caseSensitive: false,
+    normalization: {},
     redirectToCorrect: false,
+    redirectStatus: 301,
+    canonicalLink: false,
     logCorrections: false,
+    autoRefreshRoutes: true,
     applyToAllMethods: false,
+    unsafeTolerance: 0,
+    dryRun: false,
+    methodFallback: false,
+    methodNotAllowed: true,
     handleParams: true,
+    paramValidators: {},
+    router: null,
+    openapi: null,
+    fallback: false,
+    suggestionLimit: 5,
+    include: null,
+    exclude: [],
+    routeTolerance: {},
+    ambiguity: "pass",
+    ambiguityMargin: 0,
+    routePriority: {},
+    queryKeys: {},
+    aliases: {},
+    learnAliases: false,
     ...options,
+    metric,
   };
 
-  return function typoTolerantMiddleware(req, res, next) {
+  if (!config.mode) {
+    config.mode = config.redirectToCorrect ? "redirect" : "rewrite";
+  }
+  validateRedirectStatus(config.redirectStatus);
+
+  // Tolerances may depend on the compared length, so resolve them up front
+  config.budget = createToleranceBudget(config);
+
+  // Request paths are normalized the way route paths are indexed
+  config.normalizer = createNormalizer(config);
+
+  // Aliases are resolved before fuzzy matching
+  config.aliasTable = createAliasTable(config.aliases, config);
+
+  // An OpenAPI document replaces the registered routes as the route table
+  const openApiRoutes = config.openapi
+    ? getOpenApiRoutes(config.openapi, {
+        basePath: config.openapiBasePath,
+        logger: config.logger,
+      })
+    : null;
+
+  // Routes are extracted once per app (or router) and reused across requests
+  const routeCache = createRouteCache(
+    (app) =>
+      buildRouteIndex(
+        openApiRoutes || getRegisteredRoutes(app, { logger: config.logger }),
+        config
+      ),
+    {
+      autoRefresh: config.autoRefreshRoutes,
+    }
+  );
+
+  // Fallbacks mounted under a path are only warned about once
+  let warnedMountedFallback = false;
+
+  function typoTolerantMiddleware(req, res, next) {
     // Skip if the request has already been handled
     if (req.typoTolerantProcessed) {
       return next();
     }
 
-    // Get the path part of the URL (without query parameters)
-    const originalPath = req.path;
+    // A fallback under a mount path, whether its own or that of a router,
+    // only sees the rest of the path, while the routes it would correct to
+    // are relative to the app
+    if (config.fallback && !config.router && req.baseUrl) {
+      if (!warnedMountedFallback) {
+        warnedMountedFallback = true;
+        warnMountedFallback(config);
+      }
+      return next();
+    }
+
+    // Get the path part of the URL (without query parameters), normalized
+    const originalPath = config.normalizer.path(req.path);
     const method = req.method.toLowerCase();
 
     // Skip for non-GET requests if not explicitly enabled
@@ -48,29 +190,126 @@ function createAdvancedTypoTolerantRouter(options = {}) {
       return next();
     }
 
-    // Get all registered routes from the Express app
-    const routes = getRegisteredRoutes(req.app);
+    // Get the route index of the router or Express app
+    const index = routeCache.getIndex(config.router || req.app);
+
+    // A path registered only under other methods gets a 405, unless a route
+    // of the request's method matches it, exactly or fuzzily; Express
+    // answers OPTIONS requests itself
+    if (config.methodNotAllowed && method !== "options") {
+      const otherMethods = findOtherMethods(index, originalPath, method);
+      if (
+        otherMethods &&
+        !findBestMatch(originalPath, index, method, {
+          ...config,
+          methodFallback: false,
+        })
+      ) {
+        return sendMethodNotAllowed(req, res, otherMethods);
+      }
+    }
+
+    if (config.mode === "suggest") {
+      const matches = findBestMatches(
+        originalPath,
+        index,
+        method,
+        config,
+        config.suggestionLimit
+      );
+
+      // Near-misses get a 404 listing them; exact matches are served
+      // normally, at their canonical URL if the path had to be normalized
+      if (matches.length > 0 && (matches[0].distance > 0 || matches[0].alias)) {
+        reportCorrection(
+          typoTolerantMiddleware,
+          config,
+          createCorrectionEvent(req, matches[0], "suggest", config),
+          req
+        );
+        return sendSuggestions(req, res, matches);
+      }
+      if (matches.length === 0) {
+        reportNearMiss(typoTolerantMiddleware, config, req, (nearMissConfig) =>
+          findBestMatch(originalPath, index, method, nearMissConfig)
+        );
+      }
+      if (matches.length === 0 || originalPath === req.path) {
+        return next();
+      }
+    }
 
-    // Find the best matching route
-    const bestMatch = findBestMatch(originalPath, routes, method, config);
+    // Find the best matching route, unless another one is just as close
+    const { match: bestMatch, choices } = resolveAmbiguity(
+      findBestMatches(
+        originalPath,
+        index,
+        method,
+        config,
+        Math.max(2, config.suggestionLimit)
+      ),
+      config
+    );
+
+    if (choices.length > 0 && config.ambiguity === "choices") {
+      return sendMultipleChoices(req, res, choices);
+    }
 
     if (bestMatch) {
-      if (config.logCorrections) {
-        console.log(
-          `Typo correction: "${originalPath}" → "${bestMatch.path}" (distance: ${bestMatch.distance})`
+      // Unknown query keys are corrected onto the keys the route expects
+      const queryCorrection = correctQuery(req, index, bestMatch, config);
+      bestMatch.query = queryCorrection ? queryCorrection.corrections : {};
+      const search = queryCorrection
+        ? "?" + queryCorrection.search
+        : req.url.includes("?")
+        ? req.url.substring(req.url.indexOf("?"))
+        : "";
+      const url = bestMatch.matchedUrl + search;
+
+      // Exact matches aren't corrections, but aliases and query keys are
+      const corrected =
+        bestMatch.distance > 0 || bestMatch.alias || Boolean(queryCorrection);
+
+      // Only redirect corrections, where the corrected URL is served as is,
+      // so redirects can't loop; exact matches that differ only by case or
+      // normalisation are rewritten
+      const redirect =
+        config.mode === "redirect" &&
+        corrected &&
+        canRedirect(req, index, bestMatch, url);
+
+      if (corrected) {
+        const event = createCorrectionEvent(
+          req,
+          bestMatch,
+          redirect ? "redirect" : "rewrite",
+          config
         );
+        reportCorrection(typoTolerantMiddleware, config, event, req);
+
+        // A dry run only reports what would have been corrected
+        if (config.dryRun) {
+          return next();
+        }
+        markCorrected(req, res, event);
       }
 
-      if (config.redirectToCorrect && !bestMatch.hasParams) {
-        // Only redirect for static routes (not for routes with parameters)
+      if (redirect) {
         return res.redirect(
-          301,
-          bestMatch.path +
-            (req.url.includes("?")
-              ? req.url.substring(req.url.indexOf("?"))
-              : "")
+          getRedirectStatus(config.redirectStatus, method),
+          req.baseUrl + url
         );
       } else {
+        // A fallback only sees requests no route handled, and an unchanged
+        // URL would go unhandled again
+        if (config.fallback && url === req.url) {
+          return next();
+        }
+
+        if (config.canonicalLink && bestMatch.matchedUrl !== req.path) {
+          linkCanonical(req, res, bestMatch.matchedUrl);
+        }
+
         // Mark as processed to avoid infinite loops
         req.typoTolerantProcessed = true;
 
@@ -79,20 +318,16 @@ function createAdvancedTypoTolerantRouter(options = {}) {
           Object.assign(req.params, bestMatch.params);
         }
 
-        // Rewrite the URL and let Express handle it
-        if (bestMatch.hasParams) {
-          // For parameterized routes, we need to use the matched URL with parameters
-          req.url =
-            bestMatch.matchedUrl +
-            (req.url.includes("?")
-              ? req.url.substring(req.url.indexOf("?"))
-              : "");
-        } else {
-          req.url =
-            bestMatch.path +
-            (req.url.includes("?")
-              ? req.url.substring(req.url.indexOf("?"))
-              : "");
+        // Rewrite the URL (with any parameters filled in) and let Express handle it
+        req.url = url;
+        if (queryCorrection) {
+          renameQueryKeys(req, queryCorrection.corrections);
+        }
+
+        // Routes before a fallback were already passed, so it dispatches the
+        // request through the routes of its router or app again
+        if (config.fallback) {
+          return dispatchToRoutes(config.router || req.app, req, res, next);
         }
 
         // Pass control to the next middleware
@@ -101,233 +336,344 @@ function createAdvancedTypoTolerantRouter(options = {}) {
     }
 
     // No match found or tolerance exceeded, proceed normally
+    reportNearMiss(typoTolerantMiddleware, config, req, (nearMissConfig) =>
+      findBestMatch(originalPath, index, method, nearMissConfig)
+    );
     next();
-  };
-}
+  }
 
-/**
- * Extracts all registered routes from an Express app
- *
- * @param {Object} app Express application
- * @returns {Array} Array of route objects
- */
-function getRegisteredRoutes(app) {
-  const routes = [];
-
-  // Function to process route stack
-  function processStack(stack, basePath = "") {
-    stack.forEach((layer) => {
-      if (layer.route) {
-        // This is a route
-        const path =
-          basePath + (layer.route.path === "/" ? "" : layer.route.path);
-        Object.keys(layer.route.methods).forEach((method) => {
-          if (layer.route.methods[method]) {
-            routes.push({
-              path,
-              method: method.toLowerCase(),
-              hasParams: path.includes(":"),
-              keys: [], // Will be populated for parameterized routes
-              regexp: null, // Will be populated for parameterized routes
-            });
-          }
-        });
-      } else if (layer.name === "router" && layer.handle.stack) {
-        // This is a sub-router
-        const newBasePath =
-          basePath +
-          (layer.regexp.toString().includes("^\\/")
-            ? layer.regexp
-                .toString()
-                .replace(/^.*\(\?:|\\\/?\\\/\?\)\.\*$/g, "/")
-            : "");
-        processStack(layer.handle.stack, newBasePath);
-      }
+  // Lets callers force a rebuild, e.g. after removing routes
+  typoTolerantMiddleware.refreshRoutes = routeCache.refresh;
+
+  mixinEventEmitter(typoTolerantMiddleware);
+
+  // Corrections seen repeatedly become aliases
+  if (config.learnAliases) {
+    learnAliases(typoTolerantMiddleware, config.aliasTable, {
+      logger: config.logger,
+      ...(config.learnAliases === true ? {} : config.learnAliases),
     });
   }
 
-  // Process the main app stack
-  if (app._router && app._router.stack) {
-    processStack(app._router.stack);
+  return typoTolerantMiddleware;
+}
+
+// Route indexes used by suggestRoutes(), per metric, case sensitivity and
+// normalisation
+const suggestionCaches = new WeakMap();
+
+// Returns the route index suggestRoutes() should use for a configuration
+function getSuggestionIndex(app, config) {
+  if (!suggestionCaches.has(config.metric.distance)) {
+    suggestionCaches.set(config.metric.distance, new Map());
+  }
+  const caches = suggestionCaches.get(config.metric.distance);
+
+  const caseSensitive = Boolean(config.caseSensitive);
+  const key = JSON.stringify([caseSensitive, config.normalization || {}]);
+  if (!caches.has(key)) {
+    caches.set(
+      key,
+      createRouteCache((target) =>
+        buildRouteIndex(getRegisteredRoutes(target), {
+          caseSensitive,
+          normalization: config.normalization,
+          metric: config.metric,
+        })
+      )
+    );
   }
 
-  // Prepare routes with parameters for matching
-  routes.forEach((route) => {
-    if (route.hasParams) {
-      route.keys = [];
-      route.regexp = pathToRegexp(route.path, route.keys);
-    }
-  });
+  return caches.get(key).getIndex(app);
+}
 
-  return routes;
+/**
+ * Ranks the registered routes of an app against a path, without a request
+ *
+ * Uses the same matching logic as the middleware, so CLI tools and error
+ * pages can show the routes the middleware would consider.
+ *
+ * @param {Object} app Express application
+ * @param {string} path Path to look up (a query string is kept in the URLs)
+ * @param {Object} options Lookup options
+ * @param {string} options.method HTTP method to match (default: any method)
+ * @param {number} options.limit Maximum number of suggestions (default: 5)
+ * @param {number|Object|Function} options.tolerance Maximum distance to consider a match, as for the middleware (default: 2, or 0.1 for "jaro-winkler")
+ * @param {number|Object|Function} options.segmentTolerance Maximum distance of a single segment, as for the middleware
+ * @param {number} options.segmentCountTolerance Maximum number of missing or extra segments, as for the middleware
+ * @param {Object} options.segmentCosts Costs of segment edits, as for the middleware
+ * @param {string|Function} options.metric Distance metric, as for the middleware (default: "levenshtein")
+ * @param {boolean} options.caseSensitive Whether to perform case-sensitive matching (default: false)
+ * @param {Object} options.normalization Normalisation steps, as for the middleware
+ * @param {boolean} options.handleParams Whether to handle route parameters (default: true)
+ * @returns {Array} Ranked `{ path, method, distance, params, url }` suggestions
+ */
+function suggestRoutes(app, path, options = {}) {
+  const metric = resolveMetric(options.metric);
+  const config = {
+    limit: 5,
+    tolerance: metric.defaultTolerance,
+    caseSensitive: false,
+    handleParams: true,
+    ...options,
+    metric,
+  };
+  config.budget = createToleranceBudget(config);
+
+  const index = getSuggestionIndex(app, config);
+
+  const queryStart = path.indexOf("?");
+  const pathname = queryStart === -1 ? path : path.substring(0, queryStart);
+  const query = queryStart === -1 ? "" : path.substring(queryStart);
+
+  return findBestMatches(
+    index.normalizePath(pathname),
+    index,
+    config.method && config.method.toLowerCase(),
+    config,
+    config.limit
+  ).map((match) => ({
+    path: match.path,
+    method: match.method.toUpperCase(),
+    distance: match.distance,
+    params: match.params || {},
+    url: match.matchedUrl + query,
+  }));
 }
 
 /**
- * Finds the best matching route based on Levenshtein distance
+ * Finds the best matching route based on the configured distance metric
  *
  * @param {string} originalPath Original request path
- * @param {Array} routes Array of route objects
+ * @param {Object} index Route index
  * @param {string} method HTTP method
  * @param {Object} config Configuration options
  * @returns {Object|null} Best matching route or null if none found
  */
-function findBestMatch(originalPath, routes, method, config) {
-  let bestMatch = null;
-  let minDistance = Infinity;
-
-  // Normalize the original path for comparison
-  const normalizedOriginalPath = config.caseSensitive
-    ? originalPath
-    : originalPath.toLowerCase();
-
-  // Filter routes by method if needed
-  const filteredRoutes = routes.filter(
-    (route) => config.applyToAllMethods || route.method === method
+function findBestMatch(originalPath, index, method, config) {
+  return findBestMatches(originalPath, index, method, config, 1)[0] || null;
+}
+
+/**
+ * Ranks the routes within tolerance of a request path
+ *
+ * An alias, or an exact match of a RegExp, parameterized or static route, is
+ * returned on its own. Otherwise routes are ranked by distance, with a cost
+ * per segment captured in a parameter (see `rankCandidates()`), so the
+ * first entry is always the best match.
+ *
+ * @param {string} originalPath Original request path
+ * @param {Object} index Route index
+ * @param {string} method HTTP method
+ * @param {Object} config Configuration options
+ * @param {number} limit Maximum number of matches to return
+ * @returns {Array} Matching routes, best first
+ */
+function findBestMatches(originalPath, index, method, config, limit) {
+  // Filter routes by method unless no method was given or a fallback is allowed
+  const matchesMethod = (route) =>
+    !method || config.methodFallback || allowsMethod(route, method);
+
+  // State-changing requests get the unsafe tolerance, which route
+  // tolerances may narrow but not widen
+  const unsafe = isUnsafeMethod(method);
+  const tolerance = (unsafe ? config.budget.unsafe : config.budget.path)(
+    originalPath.length
   );
 
+  // Aliases win over fuzzy matches, but not over routes matching exactly;
+  // learned ones are held to the unsafe tolerance too
+  const aliasMatch =
+    config.aliasTable &&
+    findAliasMatch(
+      config.aliasTable,
+      index,
+      originalPath,
+      method,
+      matchesMethod,
+      unsafe ? tolerance : undefined
+    );
+  if (aliasMatch) {
+    return [aliasMatch];
+  }
+
+  const originalSegments = splitPath(originalPath);
+  const searchTolerance = unsafe
+    ? tolerance
+    : getSearchTolerance(index, tolerance, originalPath.length);
+
+  // Routes may have a tolerance of their own, including none at all
+  const distanceLimit = { tolerance, length: originalPath.length };
+
+  // Routes registered with a RegExp can only be matched exactly
+  const patternMatch = matchPatternRoutes(index, originalPath).find((entry) =>
+    matchesMethod(entry.route)
+  );
+  if (patternMatch) {
+    return [
+      {
+        path: patternMatch.route.path,
+        method: patternMatch.route.method,
+        distance: 0,
+        hasParams: true,
+        matchedUrl: originalPath,
+        params: {},
+        operationId: getOperationId(patternMatch.route),
+      },
+    ];
+  }
+
   // First, try to find exact matches for parameterized routes
   if (config.handleParams) {
-    for (const route of filteredRoutes) {
-      if (route.hasParams && route.regexp) {
-        const match = route.regexp.exec(originalPath);
-        if (match) {
-          // Extract parameters
-          const params = {};
-          for (let i = 1; i < match.length; i++) {
-            if (route.keys[i - 1]) {
-              params[route.keys[i - 1].name] = match[i];
-            }
-          }
-
-          // This is an exact match with parameters
-          return {
-            path: route.path,
-            method: route.method,
-            distance: 0,
-            hasParams: true,
-            matchedUrl: originalPath,
-            params,
-          };
-        }
-      }
+    const [exactMatch] = rankCandidates(
+      searchExactParamRoutes(index, originalSegments),
+      matchesMethod
+    );
+
+    if (exactMatch) {
+      return [toParamMatch(exactMatch)];
     }
   }
 
-  // Process static routes first
-  for (const route of filteredRoutes) {
-    if (!route.hasParams) {
-      // Normalize the route path for comparison
-      const normalizedRoutePath = config.caseSensitive
-        ? route.path
-        : route.path.toLowerCase();
-
-      // Calculate Levenshtein distance
-      const distance = new Levenshtein(
-        normalizedOriginalPath,
-        normalizedRoutePath
-      ).distance;
-
-      // Update best match if this is better
-      if (distance < minDistance) {
-        minDistance = distance;
-        bestMatch = {
-          path: route.path,
-          method: route.method,
-          distance,
-          hasParams: false,
-        };
-      }
-    }
+  // Static routes matching exactly need no segment alignment
+  const [exactStaticMatch] = rankCandidates(
+    searchStaticRoutes(index, originalPath, 0),
+    matchesMethod
+  );
+  if (exactStaticMatch) {
+    return [toStaticMatch(exactStaticMatch)];
   }
 
-  // If we should handle parameterized routes and no good static match was found
-  if (
-    config.handleParams &&
-    (!bestMatch || bestMatch.distance > config.tolerance)
-  ) {
-    for (const route of filteredRoutes) {
-      if (route.hasParams) {
-        // Split the paths into segments
-        const originalSegments = originalPath.split("/").filter(Boolean);
-        const routeSegments = route.path.split("/").filter(Boolean);
-
-        // Skip if segment count is too different
-        if (
-          Math.abs(originalSegments.length - routeSegments.length) >
-          config.tolerance
-        ) {
-          continue;
-        }
+  // Static routes are compared by whole path, and every route segment by
+  // segment; the index only returns routes within tolerance. Segments
+  // leave out the empty ones, which count as typos in whole paths
+  const emptySegments =
+    originalPath.length - ("/" + originalSegments.join("/")).length;
+  const alignedCandidates = index.segmentTrie
+    .search(originalSegments, {
+      tolerance: searchTolerance,
+      segmentTolerance: config.budget.segment,
+      segmentCountTolerance: config.budget.segmentCount,
+      segmentCosts: config.budget.segmentCosts,
+    })
+    .filter(({ entry }) =>
+      entry.paramSegments > 0
+        ? config.handleParams
+        : originalSegments.length > 0
+    )
+    .map((candidate) =>
+      candidate.entry.paramSegments > 0
+        ? candidate
+        : { ...candidate, distance: candidate.distance + emptySegments }
+    );
+  const candidates = searchStaticRoutes(
+    index,
+    originalPath,
+    searchTolerance
+  ).concat(alignedCandidates);
+
+  return rankCandidates(candidates, matchesMethod, distanceLimit)
+    .slice(0, limit)
+    .map((candidate) =>
+      candidate.entry.paramSegments > 0
+        ? toParamMatch(candidate)
+        : toStaticMatch(candidate)
+    );
+}
 
-        let totalDistance = 0;
-        let isGoodMatch = true;
-        const params = {};
-
-        // Compare each segment
-        for (
-          let i = 0;
-          i < Math.max(originalSegments.length, routeSegments.length);
-          i++
-        ) {
-          if (i >= originalSegments.length || i >= routeSegments.length) {
-            // Missing segment
-            totalDistance += 1;
-            continue;
-          }
-
-          const origSegment = originalSegments[i];
-          const routeSegment = routeSegments[i];
-
-          if (routeSegment.startsWith(":")) {
-            // This is a parameter segment, store it
-            const paramName = routeSegment.substring(1);
-            params[paramName] = origSegment;
-          } else {
-            // This is a static segment, compare with Levenshtein
-            const segmentDistance = new Levenshtein(
-              config.caseSensitive ? origSegment : origSegment.toLowerCase(),
-              config.caseSensitive ? routeSegment : routeSegment.toLowerCase()
-            ).distance;
-
-            totalDistance += segmentDistance;
-
-            // If any segment is too different, this is not a good match
-            if (segmentDistance > config.tolerance) {
-              isGoodMatch = false;
-              break;
-            }
-          }
-        }
+/**
+ * Turns a static route candidate into a match
+ *
+ * @param {Object} candidate Candidate returned by the BK-tree or the segment trie
+ * @returns {Object} Match with the URL of the route
+ */
+function toStaticMatch(candidate) {
+  const { route } = candidate.entry;
+
+  return {
+    path: route.path,
+    method: route.method,
+    distance: candidate.distance,
+    hasParams: false,
+    matchedUrl: candidate.entry.url,
+    priority: candidate.entry.priority,
+    paramSegments: 0,
+    // Only segment alignments say which request segments they kept
+    alignedSegments: candidate.captures
+      ? countAlignedSegments(candidate)
+      : undefined,
+    operationId: getOperationId(route),
+  };
+}
 
-        if (isGoodMatch && totalDistance < minDistance) {
-          minDistance = totalDistance;
-
-          // Reconstruct the matched URL with parameters
-          const matchedSegments = [];
-          for (let i = 0; i < routeSegments.length; i++) {
-            if (routeSegments[i].startsWith(":")) {
-              const paramName = routeSegments[i].substring(1);
-              matchedSegments.push(params[paramName] || "");
-            } else {
-              matchedSegments.push(routeSegments[i]);
-            }
-          }
-
-          bestMatch = {
-            path: route.path,
-            method: route.method,
-            distance: totalDistance,
-            hasParams: true,
-            matchedUrl: "/" + matchedSegments.join("/"),
-            params,
-          };
-        }
-      }
-    }
+/**
+ * Turns a segment trie candidate into a match
+ *
+ * @param {Object} candidate Candidate returned by the segment trie
+ * @returns {Object} Match with the URL rebuilt from the route segments
+ */
+function toParamMatch(candidate) {
+  const { route, segments } = candidate.entry;
+
+  // Reconstruct the matched URL: correct static segments, captured values elsewhere
+  const matchedSegments = segments
+    .map((segment, i) =>
+      segment.type === "static" ? segment.value : candidate.captures[i]
+    )
+    .filter(Boolean);
+
+  return {
+    path: route.path,
+    method: route.method,
+    distance: candidate.distance,
+    hasParams: true,
+    matchedUrl: "/" + matchedSegments.join("/"),
+    params: candidate.params,
+    priority: candidate.entry.priority,
+    paramSegments: candidate.entry.paramSegments,
+    alignedSegments: countAlignedSegments(candidate),
+    operationId: getOperationId(route),
+  };
+}
+
+// Skipped fallbacks would otherwise correct nothing without a word
+function warnMountedFallback(config) {
+  const message =
+    "typo-tolerant-express: a fallback mounted under a path needs the " +
+    "router it corrects routes of, as in router.use(typoFallback({ router })); " +
+    "it is skipped";
+  if (config.logger) {
+    // `msg` is pino's message key, `message` is winston's
+    config.logger.warn({ msg: message, message });
+  } else {
+    console.warn(message);
   }
+}
 
-  // Return the best match if it's within tolerance
-  return bestMatch && bestMatch.distance <= config.tolerance ? bestMatch : null;
+// Operation ID of a route read from an OpenAPI document or set by a marker
+function getOperationId(route) {
+  return route.options ? route.options.operationId : undefined;
+}
+
+/**
+ * Creates a middleware that corrects typos only once Express found no route
+ *
+ * Installed after every route, with `app.use(typoFallback())`, it never
+ * runs for requests that match exactly and can't take requests meant for
+ * static files or catch-all middleware registered before it. Corrected
+ * requests are dispatched through the routes of the app again, without its
+ * middleware; requests that still find no handler, or that can't be
+ * corrected, go on to the next middleware. Under a mount path, its own or
+ * its router's, it needs the `router` it belongs to, and is skipped
+ * otherwise.
+ *
+ * @param {Object} options Configuration options, as for `createAdvancedTypoTolerantRouter()`
+ * @returns {Function} Express middleware function, as returned by `createAdvancedTypoTolerantRouter()`
+ */
+function typoFallback(options = {}) {
+  return createAdvancedTypoTolerantRouter({ ...options, fallback: true });
 }
 
 module.exports = createAdvancedTypoTolerantRouter;
+module.exports.suggestRoutes = suggestRoutes;
+module.exports.typoFallback = typoFallback;
@@ -2,39 +2,145 @@
  * Typo-Tolerant Router for Express.js
  *
  * This middleware allows Express routes to match URLs with minor typos,
- * using Levenshtein distance to find the closest matching route.
+ * using Levenshtein distance (or another configured metric) to find the
+ * closest matching route.
  */
 
-const Levenshtein = require("levenshtein");
+const { createAliasTable, findAliasMatch, learnAliases } = require("./aliases");
+const { resolveAmbiguity } = require("./ambiguity");
+const {
+  createCorrectionEvent,
+  markCorrected,
+  mixinEventEmitter,
+  reportCorrection,
+  reportNearMiss,
+} = require("./correction-events");
+const { getRegisteredRoutes } = require("./express-routes");
+const {
+  allowsMethod,
+  buildRouteIndex,
+  createRouteCache,
+  findOtherMethods,
+  getSearchTolerance,
+  rankCandidates,
+  searchStaticRoutes,
+} = require("./route-index");
+const { resolveMetric } = require("./metrics");
+const { createNormalizer } = require("./normalization");
+const { correctQuery, renameQueryKeys } = require("./query-keys");
+const {
+  canRedirect,
+  getRedirectStatus,
+  linkCanonical,
+  validateRedirectStatus,
+} = require("./redirects");
+const {
+  sendMethodNotAllowed,
+  sendMultipleChoices,
+  sendSuggestions,
+} = require("./suggestion-responder");
+const { createToleranceBudget, isUnsafeMethod } = require("./tolerance");
 
 /**
  * Creates a middleware that provides typo tolerance for Express routes
  *
  * @param {Object} options Configuration options
- * @param {number} options.tolerance Maximum edit distance to consider a match (default: 2)
+ * @param {number|Object|Function} options.tolerance Maximum distance to consider a match: a number, `{ ratio, min, max }` of the path length or `(length) => number` (default: 2, or 0.1 for "jaro-winkler")
+ * @param {string|Function} options.metric Distance metric: "levenshtein", "damerau", "jaro-winkler", "qwerty-weighted" or a `(a, b) => number` function (default: "levenshtein")
  * @param {boolean} options.caseSensitive Whether to perform case-sensitive matching (default: false)
+ * @param {Object} options.normalization Steps applied to request and route paths before matching: `{ collapseSlashes, trailingSlash, decode, unicode, confusables, stripExtensions }` (default: every step but stripExtensions)
  * @param {boolean} options.redirectToCorrect Whether to redirect to the correct URL (default: false)
+ * @param {string} options.mode How to handle a near-miss: "rewrite", "redirect" or "suggest" (default: "redirect" if redirectToCorrect is set, else "rewrite")
+ * @param {number} options.redirectStatus Status of redirects: 301, 302, 307 or 308; requests other than GET and HEAD get 308 for 301 and 307 for 302 (default: 301)
+ * @param {boolean} options.canonicalLink Whether rewritten responses get a `Link: <url>; rel="canonical"` header with the corrected URL (default: false)
+ * @param {number} options.suggestionLimit Maximum number of routes listed in "suggest" mode (default: 5)
  * @param {boolean} options.logCorrections Whether to log corrections to console (default: false)
- * @returns {Function} Express middleware function
+ * @param {Object} options.logger Pino or winston compatible logger that corrections are logged to with `info()`, instead of the console
+ * @param {Function} options.onCorrection Called with `(event, req)` for every correction (see correction-events.js)
+ * @param {Array} options.include Route path globs (`*` within a segment, `**` across segments) or RegExps; other routes are never fuzzy-matched (default: every route)
+ * @param {Array} options.exclude Route path globs or RegExps that are never fuzzy-matched (default: none)
+ * @param {Object} options.routeTolerance Tolerances by route path glob, e.g. `{ "/reports/**": 3 }` (default: none)
+ * @param {string} options.ambiguity What to do when several routes are as close: "pass" the request through, list them in a 300 response ("choices"), pick the highest "priority" or the "first" registered (default: "pass")
+ * @param {number} options.ambiguityMargin Maximum distance from the best match for another route to count as just as close (default: 0)
+ * @param {Object} options.routePriority Priorities by route path glob for the "priority" policy; higher wins (default: none)
+ * @param {Object} options.queryKeys Query keys, or JSON Schemas of the query, by route path glob; unknown keys are corrected onto them (default: none)
+ * @param {Object} options.aliases Map of alias paths to canonical route paths, checked before fuzzy matching, e.g. `{ "/customer/:id": "/clients/:id" }` (default: none)
+ * @param {boolean|Object} options.learnAliases Whether to promote repeated corrections into aliases: `true` or `{ threshold, file, maxCandidates }` (default: false)
+ * @param {number|Object|Function} options.nearMissTolerance Maximum distance of a route reported in "nearMiss" events when nothing was corrected (default: twice the tolerance)
+ * @param {boolean} options.autoRefreshRoutes Whether to rebuild the route index when routes are added later (default: true)
+ * @param {boolean} options.applyToAllMethods Whether to apply to all HTTP methods (default: false)
+ * @param {number|Object|Function} options.unsafeTolerance Maximum distance to correct a POST, PUT, PATCH or DELETE request, which per-route tolerances can't widen (default: 0, never)
+ * @param {boolean} options.dryRun Whether to only report corrections, without rewriting or redirecting (default: false)
+ * @param {boolean} options.methodFallback Whether a typo may be corrected to a route of another method (default: false)
+ * @param {boolean} options.methodNotAllowed Whether to answer 405 when a static path only exists under other methods, and no route of the request's method is close (default: true)
+ * @returns {Function} Express middleware function, with a `refreshRoutes()` method and EventEmitter methods emitting "correction" and "nearMiss" events
  */
 function createTypoTolerantRouter(options = {}) {
+  const metric = resolveMetric(options.metric);
+
   // Default options
   const config = {
-    tolerance: 2,
+    tolerance: metric.defaultTolerance,
     caseSensitive: false,
+    normalization: {},
     redirectToCorrect: false,
+    redirectStatus: 301,
+    canonicalLink: false,
     logCorrections: false,
+    autoRefreshRoutes: true,
+    applyToAllMethods: false,
+    unsafeTolerance: 0,
+    dryRun: false,
+    methodFallback: false,
+    methodNotAllowed: true,
+    suggestionLimit: 5,
+    include: null,
+    exclude: [],
+    routeTolerance: {},
+    ambiguity: "pass",
+    ambiguityMargin: 0,
+    routePriority: {},
+    queryKeys: {},
+    aliases: {},
+    learnAliases: false,
     ...options,
+    metric,
   };
 
-  return function typoTolerantMiddleware(req, res, next) {
+  if (!config.mode) {
+    config.mode = config.redirectToCorrect ? "redirect" : "rewrite";
+  }
+  validateRedirectStatus(config.redirectStatus);
+
+  // Tolerances may depend on the compared length, so resolve them up front
+  config.budget = createToleranceBudget(config);
+
+  // Request paths are normalized the way route paths are indexed
+  config.normalizer = createNormalizer(config);
+
+  // Aliases are resolved before fuzzy matching
+  config.aliasTable = createAliasTable(config.aliases, config);
+
+  // Routes are extracted once per app and reused across requests
+  const routeCache = createRouteCache(
+    (app) =>
+      buildRouteIndex(
+        getRegisteredRoutes(app, { logger: config.logger }),
+        config
+      ),
+    {
+      autoRefresh: config.autoRefreshRoutes,
+    }
+  );
+
+  function typoTolerantMiddleware(req, res, next) {
     // Skip if the request has already been handled
     if (req.typoTolerantProcessed) {
       return next();
     }
 
-    // Get the path part of the URL (without query parameters)
-    const originalPath = req.path;
+    // Get the path part of the URL (without query parameters), normalized
+    const originalPath = config.normalizer.path(req.path);
     const method = req.method.toLowerCase();
 
     // Skip for non-GET requests if not explicitly enabled
@@ -42,38 +148,129 @@ function createTypoTolerantRouter(options = {}) {
       return next();
     }
 
-    // Get all registered routes from the Express app
-    const routes = getRegisteredRoutes(req.app);
+    // Get the route index of the Express app
+    const index = routeCache.getIndex(req.app);
 
-    // Find the best matching route
-    const bestMatch = findBestMatch(originalPath, routes, method, config);
+    // A path registered only under other methods gets a 405, unless a route
+    // of the request's method matches it, exactly or fuzzily; Express
+    // answers OPTIONS requests itself
+    if (config.methodNotAllowed && method !== "options") {
+      const otherMethods = findOtherMethods(index, originalPath, method);
+      if (
+        otherMethods &&
+        !findBestMatch(originalPath, index, method, {
+          ...config,
+          methodFallback: false,
+        })
+      ) {
+        return sendMethodNotAllowed(req, res, otherMethods);
+      }
+    }
+
+    if (config.mode === "suggest") {
+      const matches = findBestMatches(
+        originalPath,
+        index,
+        method,
+        config,
+        config.suggestionLimit
+      );
+
+      // Near-misses get a 404 listing them; exact matches are served
+      // normally, at their canonical URL if the path had to be normalized
+      if (matches.length > 0 && (matches[0].distance > 0 || matches[0].alias)) {
+        reportCorrection(
+          typoTolerantMiddleware,
+          config,
+          createCorrectionEvent(req, matches[0], "suggest", config),
+          req
+        );
+        return sendSuggestions(req, res, matches);
+      }
+      if (matches.length === 0) {
+        reportNearMiss(typoTolerantMiddleware, config, req, (nearMissConfig) =>
+          findBestMatch(originalPath, index, method, nearMissConfig)
+        );
+      }
+      if (matches.length === 0 || originalPath === req.path) {
+        return next();
+      }
+    }
+
+    // Find the best matching route, unless another one is just as close
+    const { match: bestMatch, choices } = resolveAmbiguity(
+      findBestMatches(
+        originalPath,
+        index,
+        method,
+        config,
+        Math.max(2, config.suggestionLimit)
+      ),
+      config
+    );
+
+    if (choices.length > 0 && config.ambiguity === "choices") {
+      return sendMultipleChoices(req, res, choices);
+    }
 
     if (bestMatch) {
-      if (config.logCorrections) {
-        console.log(
-          `Typo correction: "${originalPath}" → "${bestMatch.path}" (distance: ${bestMatch.distance})`
+      // Unknown query keys are corrected onto the keys the route expects
+      const queryCorrection = correctQuery(req, index, bestMatch, config);
+      bestMatch.query = queryCorrection ? queryCorrection.corrections : {};
+      const search = queryCorrection
+        ? "?" + queryCorrection.search
+        : req.url.includes("?")
+        ? req.url.substring(req.url.indexOf("?"))
+        : "";
+      const url = bestMatch.matchedUrl + search;
+
+      // Exact matches aren't corrections, but aliases and query keys are
+      const corrected =
+        bestMatch.distance > 0 || bestMatch.alias || Boolean(queryCorrection);
+
+      // Only redirect corrections, where the corrected URL is served as is,
+      // so redirects can't loop; exact matches that differ only by case or
+      // normalisation are rewritten
+      const redirect =
+        config.mode === "redirect" &&
+        corrected &&
+        canRedirect(req, index, bestMatch, url);
+
+      if (corrected) {
+        const event = createCorrectionEvent(
+          req,
+          bestMatch,
+          redirect ? "redirect" : "rewrite",
+          config
         );
+        reportCorrection(typoTolerantMiddleware, config, event, req);
+
+        // A dry run only reports what would have been corrected
+        if (config.dryRun) {
+          return next();
+        }
+        markCorrected(req, res, event);
       }
 
-      if (config.redirectToCorrect) {
+      if (redirect) {
         // Redirect to the correct URL
         return res.redirect(
-          301,
-          bestMatch.path +
-            (req.url.includes("?")
-              ? req.url.substring(req.url.indexOf("?"))
-              : "")
+          getRedirectStatus(config.redirectStatus, method),
+          req.baseUrl + url
         );
       } else {
+        if (config.canonicalLink && bestMatch.matchedUrl !== req.path) {
+          linkCanonical(req, res, bestMatch.matchedUrl);
+        }
+
         // Mark as processed to avoid infinite loops
         req.typoTolerantProcessed = true;
 
         // Rewrite the URL and let Express handle it
-        req.url =
-          bestMatch.path +
-          (req.url.includes("?")
-            ? req.url.substring(req.url.indexOf("?"))
-            : "");
+        req.url = url;
+        if (queryCorrection) {
+          renameQueryKeys(req, queryCorrection.corrections);
+        }
 
         // Pass control to the next middleware
         return next("route");
@@ -81,109 +278,101 @@ function createTypoTolerantRouter(options = {}) {
     }
 
     // No match found or tolerance exceeded, proceed normally
+    reportNearMiss(typoTolerantMiddleware, config, req, (nearMissConfig) =>
+      findBestMatch(originalPath, index, method, nearMissConfig)
+    );
     next();
-  };
-}
-
-/**
- * Extracts all registered routes from an Express app
- *
- * @param {Object} app Express application
- * @returns {Array} Array of route objects
- */
-function getRegisteredRoutes(app) {
-  const routes = [];
-
-  // Function to process route stack
-  function processStack(stack, basePath = "") {
-    stack.forEach((layer) => {
-      if (layer.route) {
-        // This is a route
-        const path =
-          basePath + (layer.route.path === "/" ? "" : layer.route.path);
-        Object.keys(layer.route.methods).forEach((method) => {
-          if (layer.route.methods[method]) {
-            routes.push({
-              path,
-              method: method.toLowerCase(),
-            });
-          }
-        });
-      } else if (layer.name === "router" && layer.handle.stack) {
-        // This is a sub-router
-        const newBasePath =
-          basePath +
-          (layer.regexp.toString().includes("^\\/")
-            ? layer.regexp
-                .toString()
-                .replace(/^.*\(\?:|\\\/?\\\/\?\)\.\*$/g, "/")
-            : "");
-        processStack(layer.handle.stack, newBasePath);
-      }
-    });
   }
 
-  // Process the main app stack
-  if (app._router && app._router.stack) {
-    processStack(app._router.stack);
+  // Lets callers force a rebuild, e.g. after removing routes
+  typoTolerantMiddleware.refreshRoutes = routeCache.refresh;
+
+  mixinEventEmitter(typoTolerantMiddleware);
+
+  // Corrections seen repeatedly become aliases
+  if (config.learnAliases) {
+    learnAliases(typoTolerantMiddleware, config.aliasTable, {
+      logger: config.logger,
+      ...(config.learnAliases === true ? {} : config.learnAliases),
+    });
   }
 
-  return routes;
+  return typoTolerantMiddleware;
 }
 
 /**
- * Finds the best matching route based on Levenshtein distance
+ * Finds the best matching route based on the configured distance metric
  *
  * @param {string} originalPath Original request path
- * @param {Array} routes Array of route objects
+ * @param {Object} index Route index
  * @param {string} method HTTP method
  * @param {Object} config Configuration options
  * @returns {Object|null} Best matching route or null if none found
  */
-function findBestMatch(originalPath, routes, method, config) {
-  let bestMatch = null;
-  let minDistance = Infinity;
-
-  // Normalize the original path for comparison
-  const normalizedOriginalPath = config.caseSensitive
-    ? originalPath
-    : originalPath.toLowerCase();
-
-  // Filter routes by method if needed
-  const filteredRoutes = routes.filter(
-    (route) => config.applyToAllMethods || route.method === method
-  );
+function findBestMatch(originalPath, index, method, config) {
+  return findBestMatches(originalPath, index, method, config, 1)[0] || null;
+}
 
-  for (const route of filteredRoutes) {
-    // Skip routes with parameters for now (they need special handling)
-    if (route.path.includes(":")) {
-      continue;
-    }
+/**
+ * Ranks the static routes within tolerance of a request path
+ *
+ * An alias is returned on its own.
+ *
+ * @param {string} originalPath Original request path
+ * @param {Object} index Route index
+ * @param {string} method HTTP method
+ * @param {Object} config Configuration options
+ * @param {number} limit Maximum number of matches to return
+ * @returns {Array} Matching routes, best first
+ */
+function findBestMatches(originalPath, index, method, config, limit) {
+  // Filter routes by method unless a fallback is allowed
+  const matchesMethod = (route) =>
+    config.methodFallback || allowsMethod(route, method);
 
-    // Normalize the route path for comparison
-    const normalizedRoutePath = config.caseSensitive
-      ? route.path
-      : route.path.toLowerCase();
-
-    // Calculate Levenshtein distance
-    const distance = new Levenshtein(
-      normalizedOriginalPath,
-      normalizedRoutePath
-    ).distance;
-
-    // Update best match if this is better
-    if (distance < minDistance) {
-      minDistance = distance;
-      bestMatch = {
-        path: route.path,
-        method: route.method,
-        distance,
-      };
-    }
+  // State-changing requests get the unsafe tolerance, which route
+  // tolerances can't widen
+  const unsafe = isUnsafeMethod(method);
+  const tolerance = (unsafe ? config.budget.unsafe : config.budget.path)(
+    originalPath.length
+  );
+
+  // Aliases win over fuzzy matches, but not over routes matching exactly;
+  // learned ones are held to the unsafe tolerance too
+  const aliasMatch = findAliasMatch(
+    config.aliasTable,
+    index,
+    originalPath,
+    method,
+    matchesMethod,
+    unsafe ? tolerance : undefined
+  );
+  if (aliasMatch) {
+    return [aliasMatch];
   }
 
-  // Return the best match if it's within tolerance
-  return bestMatch && bestMatch.distance <= config.tolerance ? bestMatch : null;
+  // The index only returns static routes within tolerance; routes may have
+  // a tolerance of their own, including none at all
+  const candidates = searchStaticRoutes(
+    index,
+    originalPath,
+    unsafe
+      ? tolerance
+      : getSearchTolerance(index, tolerance, originalPath.length)
+  );
+
+  return rankCandidates(candidates, matchesMethod, {
+    tolerance,
+    length: originalPath.length,
+  })
+    .slice(0, limit)
+    .map((candidate) => ({
+      path: candidate.entry.route.path,
+      method: candidate.entry.route.method,
+      distance: candidate.distance,
+      matchedUrl: candidate.entry.url,
+      priority: candidate.entry.priority,
+    }));
 }
 
 module.exports = createTypoTolerantRouter;